@@ -0,0 +1,31 @@
+// netlify/functions/deploy-status.js
+// Estat d'un deploy de Netlify (ESM).
+// GET ?deployId=<id>            → aquest deploy
+// GET ?siteId=<id>&since=<ms>   → l'últim deploy del site creat després de `since` (deploys per hook)
+// Retorna: { ok, deploy: { id, state, phase: 'building'|'ready'|'error', url, adminUrl, error, createdAt, publishedAt } | null }
+//   deploy null: el hook encara no ha creat el deploy.
+
+import { deployStatus } from './lib/netlify.js';
+
+const ID_RE = /^[\w.-]+$/;
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  try {
+    const q = event.queryStringParameters || {};
+    const deployId = String(q.deployId || '').trim();
+    const siteId = String(q.siteId || '').trim();
+    if (!deployId && !siteId) return j(400, { error: 'Falta deployId o siteId' });
+    if ((deployId && !ID_RE.test(deployId)) || (siteId && !ID_RE.test(siteId))) return j(400, { error: 'Identificador no válido' });
+    const since = Number(q.since) || 0;
+    const deploy = await deployStatus(deployId ? { deployId } : { siteId, since });
+    return j(200, { ok: true, deploy });
+  } catch (err) {
+    if (err.status === 400) return j(400, { error: err.message });
+    if (err.status === 404) return j(404, { error: 'Deploy no encontrado' });
+    if (err.status) return j(502, { error: 'Netlify respondió error', status: err.status, details: err.data || err.message });
+    return j(500, { error: 'Fallo al consultar el deploy', details: err.message || String(err) });
+  }
+};
+function cors(){ return { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type', 'Cache-Control': 'no-store' }; }
+function j(code,obj){ return { statusCode: code, headers: { ...cors(), 'Content-Type': 'application/json' }, body: JSON.stringify(obj) }; }
@@ -1,12 +1,35 @@
 // netlify/functions/generate.js
 // CommonJS Netlify Function (module.exports.handler).
-// Política: nunca afirmar éxito si la IA falla; en 'edit' se devuelve 502.
-// Para 'create' puedes permitir fallback enviando allowFallback:true en el body.
+// Política: nunca afirmar éxito si la IA falla; se devuelve 502 y el cliente decide (reintentar…).
+// Para 'create' se puede pedir explícitament el fallback local enviando allowFallback:true.
+// GET → opcions de l'assistent de creació: { ok, sections, palette, tone, templates }
+//   sections: ordre de seccions del coneixement global (runner/knowledge/ux.json)
+//   templates: plantilles d'inici (lib/templates.json)
+// En 'create', `brief` descriu el lloc: { template, businessType, sections, palette, tone, language }.
+//   Amb brief, la resposta inclou brand.json (paleta i to) i ux.json (ordre de seccions) perquè
+//   les edicions posteriors del runner segueixin el mateix brief.
+// El proveïdor de models (OpenAI, compatible amb OpenAI o mock) és el mateix que fa servir el runner:
+// es configura amb MODEL_PROVIDER / MODEL_BASE_URL / MODEL_API_KEY (veure runner/providers.js).
+
+// La IA respon amb canvis (create/update/delete) sobre el manifest de fitxers del projecte
+// (pàgines, CSS parcials, JSON, SVG…); la validació és la mateixa que al runner (runner/manifest.js).
+// Retorna { ok, files, deleted, changes }: `files` és el conjunt complet resultant.
+
+const { createProvider, providerConfigFromEnv } = require('../../runner/providers');
+const { editableFiles, manifestOf, validateChanges } = require('../../runner/manifest');
+const UX = require('../../runner/knowledge/ux.json');
+const BRAND = require('../../runner/knowledge/brand.json');
+const TEMPLATES = require('./lib/templates.json');
+
+const LANGUAGES = { es: 'Spanish', ca: 'Catalan', en: 'English', fr: 'French', pt: 'Portuguese', de: 'German', it: 'Italian' };
+const PALETTE_KEYS = ['primary', 'secondary', 'accent', 'background', 'text'];
+const SECTION_RE = /^[a-z][a-z0-9-]{0,39}$/;
 
 const TIMEOUT_MS = Number(process.env.GEN_AI_TIMEOUT_MS || 22000);
 
 module.exports.handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') return j(204, {});
+  if (event.httpMethod === 'GET') return j(200, wizardOptions());
   if (event.httpMethod !== 'POST') return j(405, { ok: false, error: 'Method not allowed' });
 
   try {
@@ -16,54 +39,64 @@ module.exports.handler = async (event) => {
       name = 'project',
       prompt = '',
       files = {},
-      allowFallback = mode === 'create' // por defecto SOLO en creación
+      allowFallback = false             // solo en creación y si se pide
     } = body;
+    const brief = mode === 'create' ? normalizeBrief(body.brief) : null;
 
     const headers = event.headers || {};
     // Netlify normaliza a minúsculas
-    const apiKey = headers['x-openai-key'] || headers['X-OpenAI-Key'] || process.env.OPENAI_API_KEY || '';
-    const openaiOrg = process.env.OPENAI_ORG_ID || '';
-    const openaiProject = process.env.OPENAI_PROJECT || '';
+    const apiKey = headers['x-openai-key'] || headers['X-OpenAI-Key'] || '';
+    const provider = createProvider(providerConfigFromEnv(process.env, { apiKey }));
     const model = process.env.OPENAI_MODEL || 'gpt-4o';
 
     const current = normalizeFiles(files);
 
-    const ctrl = new AbortController();
-    const to = setTimeout(() => ctrl.abort('timeout'), TIMEOUT_MS);
+    let aiResult = null, upstream = 0, aiError = '';
 
-    let aiFiles = null, upstream = 0, aiError = '';
-
-    if (apiKey) {
+    if (provider.configured) {
       try {
         // JSON Schema estricto y válido según la validación de OpenAI:
         // - strict:true exige que 'required' incluya TODAS las keys de 'properties' en cada objeto.
-        // - Por tanto, en 'files' exigimos las 3 claves.
+        // - Por tanto, cada cambio lleva path, action y content (vacío al borrar).
         const schema = {
-          name: 'files_payload',
+          name: 'changes_payload',
           strict: true,
           schema: {
             type: 'object',
             additionalProperties: false,
             properties: {
-              files: {
-                type: 'object',
-                additionalProperties: false,
-                properties: {
-                  "index.html": { type: "string" },
-                  "styles/style.css": { type: "string" },
-                  "scripts/app.js": { type: "string" }
-                },
-                required: ["index.html","styles/style.css","scripts/app.js"]
+              changes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: {
+                    path: { type: 'string' },
+                    action: { type: 'string', enum: ['create', 'update', 'delete'] },
+                    content: { type: 'string' }
+                  },
+                  required: ['path', 'action', 'content']
+                }
               }
             },
-            required: ['files']
+            required: ['changes']
           }
         };
 
         const system = [
           'You are a meticulous web code editor for small static sites.',
           'Return ONLY the JSON defined by the schema (no prose, no markdown).',
-          'Keep structure and accessibility. Avoid external scripts or remote CSS.'
+          'Keep structure and accessibility. Avoid external scripts or remote CSS.',
+          'The site is a set of files: index.html plus any pages, stylesheets, scripts, JSON data or SVGs it needs.',
+          '"files" holds the text files you may edit and "manifest" lists every project file (link images by their path).',
+          'Return in "changes" only the files that change: action "create" or "update" with the whole new content, or "delete" with empty content.',
+          'Paths are relative to the site root; index.html cannot be deleted and brand.json / ux.json must not be changed.',
+          ...(brief ? [
+            'Mode "create" with a "brief": replace the starter files with a complete, finished site for that business.',
+            'index.html has one <section> per entry of brief.sections, in that order, each with id equal to the section name, plus a header with navigation to them and a footer.',
+            'styles/style.css defines brief.palette as CSS custom properties (--color-primary, --color-secondary, --color-accent, --color-background, --color-text) and uses them.',
+            'Write all copy in brief.language with the tone in brief.tone, specific to brief.businessType: no lorem ipsum and no placeholder text. Follow brief.templateHint when present.'
+          ] : [])
         ].join(' ');
 
         const messages = [
@@ -72,67 +105,50 @@ module.exports.handler = async (event) => {
             role: 'user',
             content: JSON.stringify({
               mode, name, prompt,
-              files: {
-                'index.html': current['index.html'],
-                'styles/style.css': current['styles/style.css'],
-                'scripts/app.js': current['scripts/app.js']
-              }
+              ...(brief ? { brief } : {}),
+              files: editableFiles(current),
+              manifest: manifestOf(current)
             })
           }
         ];
 
-        const reqHeaders = {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        };
-        if (openaiOrg) reqHeaders['OpenAI-Organization'] = openaiOrg;
-        if (openaiProject) reqHeaders['OpenAI-Project'] = openaiProject;
-
-        const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          signal: ctrl.signal,
-          headers: reqHeaders,
-          body: JSON.stringify({
-            model,
-            temperature: 0.2,
-            response_format: { type: 'json_schema', json_schema: schema },
-            messages
-          })
+        const res = await provider.complete({
+          model,
+          temperature: 0.2,
+          responseFormat: { type: 'json_schema', json_schema: schema },
+          messages,
+          timeoutMs: TIMEOUT_MS
         });
-        upstream = resp.status;
+        upstream = res.status || 0;
 
-        const text = await resp.text();
-        let data = null; try { data = text ? JSON.parse(text) : null; } catch {}
-        const msg = data?.choices?.[0]?.message?.content;
-
-        if (!resp.ok) {
-          aiError = (data && data.error && data.error.message) ? data.error.message : `openai_${resp.status}`;
-        } else if (!msg) {
-          aiError = 'ai_no_message';
+        if (!res.ok) {
+          aiError = res.error || `${provider.type}_${res.status}`;
         } else {
-          let parsed = null; try { parsed = JSON.parse(msg); } catch { aiError = 'ai_inner_not_json'; }
-          const out = parsed && parsed.files;
-          if (isFiles(out)) aiFiles = sanitizeFiles(out);
-          else aiError = 'ai_files_invalid';
+          let parsed = null; try { parsed = JSON.parse(res.content); } catch { aiError = 'ai_inner_not_json'; }
+          if (parsed) {
+            try { aiResult = validateChanges(parsed, current); }
+            catch (e) { aiError = 'ai_changes_invalid: ' + e.message; }
+          }
         }
       } catch (e) {
         aiError = String(e && e.message || e);
-      } finally {
-        clearTimeout(to);
       }
     } else {
-      clearTimeout(to);
       aiError = 'missing_api_key';
     }
 
-    if (isFiles(aiFiles)) return j(200, { ok: true, files: aiFiles });
+    if (aiResult) {
+      const out = brief ? { ...aiResult.files, ...briefKnowledge(brief) } : aiResult.files;
+      const deleted = Object.keys(current).filter(k => !(k in out));
+      return j(200, { ok: true, files: out, deleted, changes: aiResult.changes });
+    }
 
     if (!allowFallback || mode === 'edit') {
       return j(502, { ok: false, error: 'ai_failed', details: aiError, upstream_status: upstream });
     }
 
     const fb = applyLocalEditFallback(current, prompt);
-    return j(200, { ok: true, files: fb, note: 'openai_error_fallback', upstream_status: upstream });
+    return j(200, { ok: true, files: fb, deleted: [], note: 'openai_error_fallback', upstream_status: upstream });
 
   } catch (err) {
     return j(500, { ok: false, error: err && err.message || String(err) });
@@ -140,42 +156,73 @@ module.exports.handler = async (event) => {
 };
 
 /* ---------------- Helpers ---------------- */
+function wizardOptions(){
+  const { tone = '', ...colors } = (BRAND && BRAND.default) || {};
+  const palette = {};
+  for (const k of PALETTE_KEYS) if (typeof colors[k] === 'string') palette[k] = colors[k];
+  return {
+    ok: true,
+    sections: (UX && UX.rules && UX.rules.order) || [],
+    palette,
+    tone,
+    languages: Object.keys(LANGUAGES),
+    templates: TEMPLATES.map(({ hint, ...t }) => t)
+  };
+}
+// Brief de l'assistent validat: només camps coneguts, colors hex i seccions amb nom simple
+function normalizeBrief(raw){
+  if (!raw || typeof raw !== 'object') return null;
+  const text = (v, max) => String(v || '').trim().slice(0, max);
+  const template = TEMPLATES.find(t => t.id === raw.template) || null;
+  const sections = (Array.isArray(raw.sections) ? raw.sections : [])
+    .map(s => text(s, 40).toLowerCase())
+    .filter((s, i, all) => SECTION_RE.test(s) && all.indexOf(s) === i)
+    .slice(0, 20);
+  const palette = {};
+  for (const k of PALETTE_KEYS) {
+    const v = raw.palette && raw.palette[k];
+    if (typeof v === 'string' && /^#[0-9a-f]{3,8}$/i.test(v)) palette[k] = v;
+  }
+  const language = LANGUAGES[raw.language] ? raw.language : 'es';
+  return {
+    template: template ? template.id : null,
+    ...(template && template.hint ? { templateHint: template.hint } : {}),
+    businessType: text(raw.businessType, 200),
+    sections: sections.length ? sections : UX.rules.order.slice(0, 4),
+    palette,
+    tone: text(raw.tone, 120),
+    language: LANGUAGES[language]
+  };
+}
+// brand.json i ux.json del projecte a partir del brief (vegeu runner/knowledge.js)
+function briefKnowledge(brief){
+  return {
+    'brand.json': JSON.stringify({ ...brief.palette, ...(brief.tone ? { tone: brief.tone } : {}) }, null, 2),
+    'ux.json': JSON.stringify({ rules: { order: brief.sections } }, null, 2)
+  };
+}
 function j(status, payload) {
   return {
     statusCode: status,
     headers: {
       'Content-Type': 'application/json; charset=utf-8',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'POST,OPTIONS',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type,x-openai-key,x-openai-asst'
     },
     body: JSON.stringify(payload)
   };
 }
 function safeJson(x){ try{ return JSON.parse(x || '{}'); }catch{ return {}; } }
-function isFiles(obj){
-  if (!obj || typeof obj !== 'object') return false;
-  if (!('index.html' in obj)) return false;
-  return Object.keys(obj).every(k => typeof obj[k] === 'string');
-}
+// Tots els fitxers de text del projecte; només s'omplen per defecte els tres de base si falten
 function normalizeFiles(input){
-  const out = { ...(input||{}) };
+  const out = {};
+  for (const [k,v] of Object.entries(input||{})) if (typeof v === 'string') out[k] = v;
   if (typeof out['index.html'] !== 'string') out['index.html'] = defaultIndex();
   if (typeof out['styles/style.css'] !== 'string') out['styles/style.css'] = '/* css */';
   if (typeof out['scripts/app.js'] !== 'string') out['scripts/app.js'] = '// js';
   return out;
 }
-function sanitizeFiles(files){
-  const out = {};
-  for (const [k,v] of Object.entries(files)){
-    let s = String(v||'');
-    // elimina scripts externos y CSS remotos
-    s = s.replace(/<script[^>]*\ssrc=["'][^"']+["'][^>]*>\s*<\/script>/gi, '');
-    s = s.replace(/<link[^>]+rel=["']stylesheet["'][^>]+href=["']https?:\/\/[^"']+["'][^>]*>/gi, '');
-    out[k] = s;
-  }
-  return out;
-}
 function defaultIndex(){
   return `<!doctype html><html lang="es"><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
@@ -194,6 +241,6 @@ function applyLocalEditFallback(files, promptRaw){
     html = html.replace('</body>', `<section style="padding:24px;border-top:1px solid #ddd"><h3>Cambio aplicado</h3><p>${escape(prompt)}</p></section></body>`);
   }
 
-  return { 'index.html': html, 'styles/style.css': css, 'scripts/app.js': files['scripts/app.js'] || '// js' };
+  return { ...files, 'index.html': html, 'styles/style.css': css };
 }
 function escape(s=''){ return s.replace(/[&<>"']/g,m=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[m])); }
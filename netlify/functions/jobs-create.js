@@ -1,7 +1,13 @@
 // Netlify Function: jobs-create (proxy to Runner)
 // POST /.netlify/functions/jobs-create
 //
-// Body: { preset, prompt, name, files, brand }
+// Body: { preset, prompt, name, project, files, assets?, brand, mode?, root?, protectedSelectors?, maxOps? }
+//   assets: paths ({ path, size }) of binary files not sent in `files`; binaries sent as data URLs
+//   in `files` are reduced to the same list by the runner (the model never receives them)
+//   mode: 'files' (create/update/delete against the file manifest, default) | 'ops' (scoped domPatcher operations)
+//   root: CSS selector of the element to edit (the dashboard's element picker); must match an element
+//   of index.html, otherwise the runner answers 400 with errorType 'invalid_scope'
+//   protectedSelectors: elements of index.html the model must leave unchanged (locked sections)
 // Proxies to: POST {RUNNER_URL}/jobs-create  (x-runner-secret header)
 // Returns: 202 { jobId } or error JSON
 
@@ -35,7 +41,10 @@ exports.handler = async (event) => {
     return { statusCode: 400, headers: corsHeaders(), body: JSON.stringify({ error: 'Invalid JSON body' }) };
   }
 
-  const { preset = '', prompt = '', name = '', files = {}, brand = null } = payload || {};
+  const {
+    preset = '', prompt = '', name = '', project = '', files = {}, assets = [], brand = null,
+    mode = 'files', root = null, protectedSelectors = [], maxOps = null
+  } = payload || {};
   if (!files || typeof files !== 'object') {
     return { statusCode: 400, headers: corsHeaders(), body: JSON.stringify({ error: 'files must be provided' }) };
   }
@@ -55,7 +64,7 @@ exports.handler = async (event) => {
         'Content-Type': 'application/json',
         'x-runner-secret': RUNNER_SHARED_SECRET,
       },
-      body: JSON.stringify({ preset, prompt, name, files, brand }),
+      body: JSON.stringify({ preset, prompt, name, project, files, assets, brand, mode, root, protectedSelectors, maxOps }),
       signal: controller.signal
     }).catch((e) => ({ ok:false, status: 502, json: async () => ({ error: 'fetch failed', detail: String(e && e.message || e) }) }));
 
@@ -0,0 +1,70 @@
+// Netlify Function: jobs-events (streaming SSE proxy to Runner)
+// GET /.netlify/functions/jobs-events?id=<jobId>
+//
+// Proxies to:   GET {RUNNER_URL}/jobs-events?id=<jobId>
+// Auth header:  x-runner-secret: {RUNNER_SHARED_SECRET}
+//
+// Uses the Functions v2 signature (Request -> Response) so the runner's
+// text/event-stream body is streamed to the browser as it arrives. Forwards
+// Last-Event-ID so an EventSource reconnect resumes where it left off.
+// Status codes: 200 (stream), 400 (missing id), 404 (not found), 500/502 (runner unreachable)
+
+const RUNNER_URL = process.env.RUNNER_URL || '';
+const RUNNER_SHARED_SECRET = process.env.RUNNER_SHARED_SECRET || '';
+
+function corsHeaders() {
+  const allow = process.env.ALLOWED_ORIGIN || '*';
+  return {
+    'Access-Control-Allow-Origin': allow,
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Last-Event-ID',
+    'Cache-Control': 'no-store',
+  };
+}
+
+const json = (status, payload) => new Response(JSON.stringify(payload), {
+  status,
+  headers: { ...corsHeaders(), 'Content-Type': 'application/json; charset=utf-8' }
+});
+
+export default async (req) => {
+  // CORS preflight
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders() });
+  if (req.method !== 'GET') return json(405, { error: 'Method Not Allowed' });
+
+  const params = new URL(req.url).searchParams;
+  const id = (params.get('id') || '').trim();
+  if (!id) return json(400, { error: 'Missing id' });
+  if (!RUNNER_URL || !RUNNER_SHARED_SECRET) {
+    return json(500, { error: 'Runner not configured (env RUNNER_URL/RUNNER_SHARED_SECRET)' });
+  }
+
+  const headers = { 'x-runner-secret': RUNNER_SHARED_SECRET, 'Accept': 'text/event-stream' };
+  const lastEventId = req.headers.get('last-event-id') || params.get('lastEventId');
+  if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+  let upstream;
+  try {
+    const url = `${RUNNER_URL.replace(/\/+$/,'')}/jobs-events?id=${encodeURIComponent(id)}`;
+    upstream = await fetch(url, { headers, signal: req.signal });
+  } catch (e) {
+    return json(502, { error: 'fetch failed', detail: String(e && e.message || e) });
+  }
+
+  if (!upstream.ok || !upstream.body) {
+    const text = await upstream.text().catch(() => '');
+    let data = {};
+    try { data = JSON.parse(text); } catch { data = { raw: text }; }
+    return json(upstream.status || 502, data);
+  }
+
+  return new Response(upstream.body, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    }
+  });
+};
@@ -0,0 +1,261 @@
+// netlify/functions/lib/github.js
+// Client GitHub compartit per les funcions (ESM).
+// - envPick('data') → repo DATA (projectes); envPick('site') → repo on es publica el lloc.
+// - gh(): crida a l'API REST → { ok, status, data }.
+// - commit(): un sol commit per operació amb la Git Data API (blobs → tree → commit → ref).
+//   L'actualització de la ref no és forçada, així que si la branca s'ha mogut mentrestant
+//   GitHub la rebutja (compare-and-swap sobre el commit pare). Llavors es torna a
+//   construir el canvi sobre el nou cap de branca (fins a `retries` cops), o es
+//   retorna conflicte directament si el cridador exigeix un pare concret.
+//
+// API:
+//   const repo = envPick('data');
+//   await gh(repo, '/repos/{owner}/{repo}/…', { method, body, accept })
+//   await readFile(repo, path, ref?)       // -> { status, text, sha }
+//   await listFiles(repo, prefix)          // -> { commit, sha, files: [{ path, sha, size }], dirs }
+//   await readBlob(repo, sha)              // -> { text } | { base64 }
+//   await readTree(repo, prefix, { skip }) // -> { commit, sha, files: [{ path, sha, size, text | base64 }] }
+//   await pathSha(repo, treeSha, path)     // -> sha del directori o null
+//   blobSha(content)                       // -> sha Git del contingut (string | { base64 })
+//   await createBranch(repo, name, sha)    // -> repo apuntant a la branca nova
+//   await openPullRequest(repo, { title, head, base, body }) // -> { number, url }
+//   await commit(repo, { message, changes, expectedParent?, retries? })
+//     changes: { [path]: string | { base64 } | null }  (null = esborrar)
+//              o async ({ parent, tree, read, list }) => {...}, avaluat sobre el commit pare
+//     -> { ok: true, commit, parent, tree, changed: [paths], noop? }
+//     llença Error amb .status (409 i .code 'conflict' si la branca s'ha mogut)
+
+import { Buffer, isUtf8 } from 'node:buffer';
+import { createHash } from 'node:crypto';
+
+export function envPick(target = 'data') {
+  const env = process.env;
+  if (target === 'site') {
+    return {
+      OWNER:  env.GH_OWNER  || env.GITHUB_OWNER,
+      REPO:   env.GH_REPO   || env.GITHUB_REPO,
+      BRANCH: env.GH_BRANCH || env.GITHUB_BRANCH || 'main',
+      TOKEN:  env.GITHUB_TOKEN || env.GH_TOKEN
+    };
+  }
+  // Prioritza variables DATA; si no hi són, cau a les genèriques
+  return {
+    OWNER:  env.GH_DATA_OWNER  || env.GITHUB_OWNER || env.GH_OWNER,
+    REPO:   env.GH_DATA_REPO   || env.GITHUB_DATA_REPO || env.GITHUB_REPO || env.GH_REPO,
+    BRANCH: env.GH_DATA_BRANCH || env.GITHUB_DATA_BRANCH || env.GH_BRANCH || 'main',
+    TOKEN:  env.GITHUB_DATA_TOKEN || env.GH_DATA_TOKEN || env.GITHUB_TOKEN || env.GH_TOKEN
+  };
+}
+
+export const isConfigured = (repo) => !!(repo.OWNER && repo.REPO && repo.TOKEN);
+
+// Encode segur de “segments” del path (sense escapar les /)
+export const encPath = (p) => p.split('/').map(encodeURIComponent).join('/');
+
+function httpError(message, status, data) {
+  const err = new Error(message);
+  err.status = status;
+  err.data = data;
+  return err;
+}
+
+// `path` pot portar {owner}/{repo}, que es substitueixen pel repo indicat
+export async function gh(repo, path, { method = 'GET', body, accept } = {}) {
+  const url = 'https://api.github.com' + path.replace('{owner}', repo.OWNER).replace('{repo}', repo.REPO);
+  const res = await fetch(url, {
+    method,
+    headers: {
+      'Accept': accept || 'application/vnd.github+json',
+      'User-Agent': 'project-central-functions',
+      ...(repo.TOKEN ? { Authorization: `token ${repo.TOKEN}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await res.text();
+  let data;
+  if (accept && accept.includes('raw')) data = text;
+  else { try { data = text ? JSON.parse(text) : null; } catch { data = { raw: text }; } }
+  return { ok: res.ok, status: res.status, data };
+}
+
+// Llegeix un fitxer: { status, text, sha }. Per sobre d'1 MB l'API de continguts
+// no retorna el base64, i llavors es demana el contingut en "raw".
+export async function readFile(repo, path, ref = repo.BRANCH) {
+  const url = `/repos/{owner}/{repo}/contents/${encPath(path)}?ref=${encodeURIComponent(ref)}`;
+  const meta = await gh(repo, url);
+  if (meta.status === 404) return { status: 404, text: null, sha: null };
+  if (!meta.ok) throw httpError(`GitHub GET ${meta.status} ${path}`, meta.status, meta.data);
+  if (meta.data.encoding === 'base64' && meta.data.content) {
+    return { status: 200, text: Buffer.from(meta.data.content, 'base64').toString('utf8'), sha: meta.data.sha };
+  }
+  const raw = await gh(repo, url, { accept: 'application/vnd.github.raw' });
+  if (!raw.ok) throw httpError(`GitHub GET raw ${raw.status} ${path}`, raw.status, raw.data);
+  return { status: 200, text: raw.data, sha: meta.data.sha };
+}
+
+async function headOf(repo) {
+  const ref = await gh(repo, `/repos/{owner}/{repo}/git/ref/heads/${encPath(repo.BRANCH)}`);
+  if (!ref.ok) throw httpError(`GitHub ref ${repo.BRANCH}: ${ref.status}`, ref.status, ref.data);
+  const parent = ref.data.object.sha;
+  const commit = await gh(repo, `/repos/{owner}/{repo}/git/commits/${parent}`);
+  if (!commit.ok) throw httpError(`GitHub commit ${parent}: ${commit.status}`, commit.status, commit.data);
+  return { parent, tree: commit.data.tree.sha };
+}
+
+// Totes les entrades del tree indicat: [{ path, type ('blob' | 'tree'), sha, size }]
+async function listTree(repo, treeSha) {
+  const res = await gh(repo, `/repos/{owner}/{repo}/git/trees/${treeSha}?recursive=1`);
+  if (!res.ok) throw httpError(`GitHub tree ${res.status}`, res.status, res.data);
+  // Per sobre de ~100.000 entrades GitHub retalla la llista: millor fallar que perdre fitxers
+  if (res.data.truncated) throw httpError('GitHub tree listing truncated', 502, null);
+  return (res.data.tree || [])
+    .filter((it) => it.type === 'blob' || it.type === 'tree')
+    .map((it) => ({ path: it.path, type: it.type, sha: it.sha, size: it.size }));
+}
+
+// Sha del tree (directori) `path` dins el tree arrel, baixant carpeta a carpeta;
+// null si no existeix. Serveix d'etag d'un projecte: canvia amb qualsevol fitxer seu.
+export async function pathSha(repo, treeSha, path) {
+  let sha = treeSha;
+  for (const name of path.split('/').filter(Boolean)) {
+    const res = await gh(repo, `/repos/{owner}/{repo}/git/trees/${sha}`);
+    if (!res.ok) throw httpError(`GitHub tree ${res.status}`, res.status, res.data);
+    const entry = (res.data.tree || []).find((it) => it.path === name && it.type === 'tree');
+    if (!entry) return null;
+    sha = entry.sha;
+  }
+  return sha;
+}
+
+// Fitxers sota `prefix` al cap de la branca, amb un sol llistat del tree (sense
+// contingut): { commit, sha (del directori, o null), files: [{ path relatiu, sha, size }],
+// dirs: { path relatiu: sha } }
+export async function listFiles(repo, prefix) {
+  const head = await headOf(repo);
+  const dir = prefix.replace(/^\/+|\/+$/g, '');
+  const base = dir ? dir + '/' : '';
+  const entries = await listTree(repo, head.tree);
+  const files = [];
+  const dirs = {};
+  for (const it of entries) {
+    if (!it.path.startsWith(base)) continue;
+    const path = it.path.slice(base.length);
+    if (it.type === 'tree') dirs[path] = it.sha;
+    else files.push({ path, sha: it.sha, size: it.size });
+  }
+  const self = dir ? entries.find((it) => it.type === 'tree' && it.path === dir) : { sha: head.tree };
+  return { commit: head.parent, sha: self ? self.sha : null, files, dirs };
+}
+
+// Contingut d'un blob: { text } si és UTF-8 vàlid, { base64 } si és binari (imatges, fonts…)
+export async function readBlob(repo, sha) {
+  const blob = await gh(repo, `/repos/{owner}/{repo}/git/blobs/${sha}`);
+  if (!blob.ok) throw httpError(`GitHub blob ${blob.status} ${sha}`, blob.status, blob.data);
+  const buf = Buffer.from(blob.data.content || '', 'base64');
+  return isUtf8(buf) && !buf.includes(0) ? { text: buf.toString('utf8') } : { base64: buf.toString('base64') };
+}
+
+// Com listFiles, però amb el contingut de cada fitxer (un GET per blob)
+export async function readTree(repo, prefix, { skip = () => false } = {}) {
+  const { commit, sha, files } = await listFiles(repo, prefix);
+  const out = [];
+  for (const it of files) {
+    if (skip(it.path)) continue;
+    out.push({ ...it, ...(await readBlob(repo, it.sha)) });
+  }
+  return { commit, sha, files: out };
+}
+
+// Sha que Git donarà al contingut (per saber si un fitxer canvia sense baixar-lo)
+export function blobSha(value) {
+  const buf = typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.base64, 'base64');
+  return createHash('sha1').update(`blob ${buf.length}\0`).update(buf).digest('hex');
+}
+
+// Crea la branca `name` apuntant a `sha` (422 si ja existeix)
+export async function createBranch(repo, name, sha) {
+  const res = await gh(repo, '/repos/{owner}/{repo}/git/refs', {
+    method: 'POST',
+    body: { ref: `refs/heads/${name}`, sha }
+  });
+  if (!res.ok) throw httpError(`GitHub create branch ${res.status}`, res.status, res.data);
+  return { ...repo, BRANCH: name };
+}
+
+export async function openPullRequest(repo, { title, head, base, body }) {
+  const res = await gh(repo, '/repos/{owner}/{repo}/pulls', {
+    method: 'POST',
+    body: { title, head, base, body }
+  });
+  if (!res.ok) throw httpError(`GitHub pull request ${res.status}`, res.status, res.data);
+  return { number: res.data.number, url: res.data.html_url };
+}
+
+async function treeEntry(repo, path, value) {
+  if (value === null) return { path, mode: '100644', type: 'blob', sha: null };
+  if (typeof value === 'string') return { path, mode: '100644', type: 'blob', content: value };
+  // Binari: cal crear el blob abans
+  const blob = await gh(repo, '/repos/{owner}/{repo}/git/blobs', {
+    method: 'POST',
+    body: { content: value.base64, encoding: 'base64' }
+  });
+  if (!blob.ok) throw httpError(`GitHub blob ${blob.status} ${path}`, blob.status, blob.data);
+  return { path, mode: '100644', type: 'blob', sha: blob.data.sha };
+}
+
+export async function commit(repo, { message, changes, expectedParent, retries = 2 }) {
+  for (let attempt = 0; ; attempt++) {
+    const head = await headOf(repo);
+    if (expectedParent && head.parent !== expectedParent) {
+      throw Object.assign(httpError('Branch moved since it was read', 409, { expected: expectedParent, head: head.parent }), { code: 'conflict' });
+    }
+    let listing = null;
+    const ctx = {
+      parent: head.parent,
+      tree: head.tree,
+      read: (path) => readFile(repo, path, head.parent),
+      list: async (prefix) => {
+        listing = listing || listTree(repo, head.tree);
+        const base = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+        return (await listing).filter((it) => it.type === 'blob' && it.path.startsWith(base));
+      }
+    };
+    const wanted = typeof changes === 'function' ? await changes(ctx) : changes;
+    // Esborrar un fitxer que no existeix fa fallar la creació del tree
+    const existing = Object.values(wanted).some((v) => v === null)
+      ? new Set((await ctx.list('')).map((it) => it.path))
+      : null;
+    const entries = [];
+    for (const [path, value] of Object.entries(wanted)) {
+      if (value === null && !existing.has(path)) continue;
+      entries.push(await treeEntry(repo, path, value));
+    }
+    if (!entries.length) return { ok: true, noop: true, commit: head.parent, parent: head.parent, tree: head.tree, changed: [] };
+
+    const tree = await gh(repo, '/repos/{owner}/{repo}/git/trees', {
+      method: 'POST',
+      body: { base_tree: head.tree, tree: entries }
+    });
+    if (!tree.ok) throw httpError(`GitHub tree ${tree.status}`, tree.status, tree.data);
+    const changed = entries.map((e) => e.path);
+    if (tree.data.sha === head.tree) return { ok: true, noop: true, commit: head.parent, parent: head.parent, tree: head.tree, changed: [] };
+
+    const created = await gh(repo, '/repos/{owner}/{repo}/git/commits', {
+      method: 'POST',
+      body: { message, tree: tree.data.sha, parents: [head.parent] }
+    });
+    if (!created.ok) throw httpError(`GitHub commit ${created.status}`, created.status, created.data);
+
+    // Sense force: GitHub només accepta l'avanç si el cap encara és `head.parent`
+    const ref = await gh(repo, `/repos/{owner}/{repo}/git/refs/heads/${encPath(repo.BRANCH)}`, {
+      method: 'PATCH',
+      body: { sha: created.data.sha, force: false }
+    });
+    if (ref.ok) return { ok: true, commit: created.data.sha, parent: head.parent, tree: tree.data.sha, changed };
+    if (ref.status !== 422 && ref.status !== 409) throw httpError(`GitHub ref update ${ref.status}`, ref.status, ref.data);
+    if (expectedParent || attempt >= retries) {
+      throw Object.assign(httpError('Branch moved while committing', 409, ref.data), { code: 'conflict' });
+    }
+  }
+}
@@ -0,0 +1,41 @@
+// netlify/functions/lib/meta.js
+// Camps de meta.json que el dashboard desa amb el projecte a més del resum (nom, estat, dates…).
+// projects-get i projects-list els han de retornar: projects-save reescriu meta.json amb el
+// projecte que rep, i un projecte baixat a un altre dispositiu sense aquests camps els esborraria
+// del repo de dades en el següent desat.
+// meta.json el pot llegir qualsevol amb accés al repo de dades: no s'hi desen secrets. El build
+// hook del deploy (qui el té pot llançar deploys) es queda al navegador i viatja només a
+// trigger-deploy; l'historial de deploys es limita als més recents.
+//
+// API:
+//   cleanMeta(meta) -> meta sense secrets i amb l'historial de deploys retallat
+//   metaExtras(meta) -> { target?, deploy?, deploys?, protectedSelectors?, brief? } (ja netejats)
+
+// target: destí del push (push-to-github); deploy / deploys: configuració i historial de
+// deploys (trigger-deploy); protectedSelectors: seccions bloquejades; brief: assistent de creació
+const EXTRA_FIELDS = ['target', 'deploy', 'deploys', 'protectedSelectors', 'brief'];
+// El mateix límit que el dashboard (DEPLOY_HISTORY_MAX)
+export const DEPLOY_HISTORY_MAX = 10;
+
+export function cleanMeta(meta) {
+  const out = { ...meta };
+  if (out.deploy !== undefined) {
+    if (out.deploy && typeof out.deploy === 'object' && !Array.isArray(out.deploy)) {
+      const { hook: _hook, ...deploy } = out.deploy;
+      out.deploy = deploy;
+    } else {
+      delete out.deploy;
+    }
+  }
+  if (out.deploys !== undefined) out.deploys = Array.isArray(out.deploys) ? out.deploys.slice(0, DEPLOY_HISTORY_MAX) : [];
+  return out;
+}
+
+export function metaExtras(meta) {
+  const clean = cleanMeta(meta || {});
+  const out = {};
+  for (const field of EXTRA_FIELDS) {
+    if (clean[field] !== undefined && clean[field] !== null) out[field] = clean[field];
+  }
+  return out;
+}
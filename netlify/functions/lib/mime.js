@@ -0,0 +1,27 @@
+// netlify/functions/lib/mime.js
+// Tipus MIME per extensió, compartit per projects-get (binaris com a data URL), preview-serve
+// i revisions-restore.
+
+const MIME = {
+  html: 'text/html; charset=utf-8', htm: 'text/html; charset=utf-8', css: 'text/css; charset=utf-8',
+  js: 'text/javascript; charset=utf-8', mjs: 'text/javascript; charset=utf-8', json: 'application/json; charset=utf-8',
+  txt: 'text/plain; charset=utf-8', xml: 'application/xml; charset=utf-8', svg: 'image/svg+xml',
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  avif: 'image/avif', ico: 'image/x-icon', pdf: 'application/pdf',
+  woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf', mp4: 'video/mp4', webm: 'video/webm'
+};
+
+export const mimeOf = (path) => MIME[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+// Fitxer de text (pàgines, CSS, JS, JSON, SVG…): els que es guarden com a text i entren a les revisions
+export const isTextPath = (path) => /^text\/|^application\/(json|xml)|^image\/svg/.test(mimeOf(path));
+
+// Fitxer binari (base64) com a data URL, el format amb què el dashboard guarda els binaris
+export const dataUrl = (path, base64) => `data:${mimeOf(path).split(';')[0]};base64,${base64}`;
+
+// Contingut del dashboard → valor per a commit()/blobSha() (lib/github.js): les data URL
+// es descodifiquen a { base64 } perquè arribin al repo com a binari, la resta és text
+export function fileValue(content) {
+  const m = /^data:[^;,]*;base64,(.*)$/s.exec(content);
+  return m ? { base64: m[1] } : content;
+}
@@ -0,0 +1,114 @@
+// netlify/functions/lib/netlify.js
+// Client de l'API de Netlify compartit per trigger-deploy i deploy-status (ESM).
+// - Token: NETLIFY_AUTH_TOKEN (o NETLIFY_TOKEN).
+// - deployFiles(): deploy directe per "file digest": s'envia el sha1 de cada fitxer,
+//   Netlify respon quins no té i només es pugen aquests.
+// - triggerHook(): crida un build hook (només URLs de Netlify).
+// - deployStatus(): estat normalitzat d'un deploy, o de l'últim d'un site.
+//
+// API:
+//   await deployFiles(siteId, files, { title })  // -> deploy (vegeu summarize)
+//   await triggerHook(url, { title })
+//   await deployStatus({ deployId } | { siteId, since }) // -> deploy | null
+//   summarize(raw) -> { id, siteId, state, phase, url, adminUrl, error, createdAt, publishedAt }
+//   isPublished(path) -> false per als fitxers del projecte que no formen part del lloc
+//     (també el fa servir push-to-github, perquè push i deploy publiquin el mateix)
+
+import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
+import { fileValue } from './mime.js';
+
+const API = 'https://api.netlify.com/api/v1';
+const HOOK_PREFIX = 'https://api.netlify.com/build_hooks/';
+// Fitxers del projecte que no formen part del lloc publicat
+const NOT_PUBLISHED = new Set(['brand.json', 'ux.json', 'meta.json']);
+export const isPublished = (path) => !NOT_PUBLISHED.has(path) && !path.startsWith('revisions/');
+
+export const netlifyToken = () => process.env.NETLIFY_AUTH_TOKEN || process.env.NETLIFY_TOKEN;
+
+function httpError(message, status, data) {
+  const err = new Error(message);
+  err.status = status;
+  err.data = data;
+  return err;
+}
+
+async function api(path, { method = 'GET', body, raw } = {}) {
+  const token = netlifyToken();
+  if (!token) throw httpError('Falta NETLIFY_AUTH_TOKEN en variables de entorno', 400);
+  const res = await fetch(API + path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'User-Agent': 'project-central-functions',
+      ...(raw ? { 'Content-Type': 'application/octet-stream' } : body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: raw || (body ? JSON.stringify(body) : undefined)
+  });
+  const text = await res.text();
+  let data; try { data = text ? JSON.parse(text) : null; } catch { data = { raw: text }; }
+  if (!res.ok) throw httpError(`Netlify ${method} ${path}: ${res.status}`, res.status, data);
+  return data;
+}
+
+// Estats de Netlify agrupats en tres fases per al dashboard
+const PHASES = { ready: 'ready', error: 'error', rejected: 'error', retrying: 'building' };
+export function summarize(d) {
+  return {
+    id: d.id,
+    siteId: d.site_id,
+    state: d.state,
+    phase: PHASES[d.state] || 'building',
+    url: d.deploy_ssl_url || d.ssl_url || d.deploy_url || d.url || null,
+    adminUrl: d.admin_url ? `${d.admin_url}/deploys/${d.id}` : null,
+    error: d.error_message || null,
+    createdAt: d.created_at ? Date.parse(d.created_at) : null,
+    publishedAt: d.published_at ? Date.parse(d.published_at) : null
+  };
+}
+
+// Continguts del projecte → Buffer. Els binaris arriben com a data URL.
+function toBuffer(content) {
+  const value = fileValue(content);
+  return typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.base64, 'base64');
+}
+const encPath = (p) => p.split('/').map(encodeURIComponent).join('/');
+
+export async function deployFiles(siteId, files, { title } = {}) {
+  const buffers = {};
+  for (const [path, content] of Object.entries(files)) {
+    if (typeof content !== 'string' || !isPublished(path)) continue;
+    buffers['/' + path.replace(/^\/+/, '')] = toBuffer(content);
+  }
+  if (!buffers['/index.html']) throw httpError('El proyecto no tiene index.html', 400);
+  const digest = Object.fromEntries(Object.entries(buffers).map(([p, b]) => [p, createHash('sha1').update(b).digest('hex')]));
+  const deploy = await api(`/sites/${encodeURIComponent(siteId)}/deploys`, {
+    method: 'POST',
+    body: { files: digest, ...(title ? { title } : {}) }
+  });
+  // Netlify només demana els fitxers (per sha1) que encara no té
+  const required = new Set(deploy.required || []);
+  for (const [path, sha] of Object.entries(digest)) {
+    if (!required.has(sha)) continue;
+    required.delete(sha);
+    await api(`/deploys/${deploy.id}/files${encPath(path)}`, { method: 'PUT', raw: buffers[path] });
+  }
+  return summarize(await api(`/deploys/${deploy.id}`));
+}
+
+export async function triggerHook(url, { title } = {}) {
+  if (typeof url !== 'string' || !url.startsWith(HOOK_PREFIX)) throw httpError('El build hook ha de ser una URL de Netlify', 400);
+  const res = await fetch(url + (title ? `?trigger_title=${encodeURIComponent(title)}` : ''), { method: 'POST' });
+  if (!res.ok) throw httpError('Netlify hook respondió error', 502, { status: res.status });
+}
+
+// Per deployId, o l'últim deploy del site creat a partir de `since` (ms). null si encara no n'hi ha.
+export async function deployStatus({ deployId, siteId, since }) {
+  if (deployId) return summarize(await api(`/deploys/${encodeURIComponent(deployId)}`));
+  const list = await api(`/sites/${encodeURIComponent(siteId)}/deploys?per_page=5`);
+  const latest = (Array.isArray(list) ? list : [])
+    .map(summarize)
+    .filter((d) => !since || (d.createdAt || 0) >= since)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))[0];
+  return latest || null;
+}
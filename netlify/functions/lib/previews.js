@@ -0,0 +1,90 @@
+// netlify/functions/lib/previews.js
+// Enllaços de vista prèvia compartibles al repo DATA (ESM, compartit per preview-publish,
+// previews-list, preview-serve i preview-revoke).
+//
+//   previews/<token>.json  → { token, slug, name, revisionId, createdAt, expiresAt, password?, files }
+//   previews/index.json    → { <token>: { token, slug, name, revisionId, createdAt, expiresAt, protected } }
+//
+// El token (192 bits aleatoris) és l'únic que dona accés a la vista prèvia. Amb contrasenya
+// es guarda només el hash (scrypt); un cop validada, l'accés viatja dins la URL
+// (/p/<token>/k-<exp>-<firma>/…) perquè les rutes relatives dels recursos la conservin.
+
+import { Buffer } from 'node:buffer';
+import { randomBytes, scryptSync, createHmac, timingSafeEqual } from 'node:crypto';
+import { envPick, readFile } from './github.js';
+
+export const PREVIEWS_DIR = 'previews';
+export const INDEX_PATH = `${PREVIEWS_DIR}/index.json`;
+export const TOKEN_RE = /^[\w-]{32}$/;
+export const snapshotPath = (token) => `${PREVIEWS_DIR}/${token}.json`;
+
+export const DEFAULT_HOURS = 72;
+export const MAX_HOURS = 24 * 30;
+// Durada de l'accés un cop introduïda la contrasenya
+const ACCESS_MS = 12 * 60 * 60 * 1000;
+
+export const newToken = () => randomBytes(24).toString('base64url');
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('base64url');
+  return { salt, hash: scryptSync(password, salt, 32).toString('base64url') };
+}
+
+const same = (a, b) => a.length === b.length && timingSafeEqual(a, b);
+
+export function checkPassword(stored, password) {
+  if (!stored || typeof password !== 'string') return false;
+  return same(scryptSync(password, stored.salt, 32), Buffer.from(stored.hash, 'base64url'));
+}
+
+// Segment d'accés signat amb el hash de la contrasenya: caduca, i deixa de valer si es revoca
+const sign = (stored, token, exp) => createHmac('sha256', stored.hash).update(`${token}.${exp}`).digest('base64url');
+
+export function accessSegment(stored, token, expiresAt) {
+  const exp = Math.min(Date.now() + ACCESS_MS, expiresAt).toString(36);
+  return `k-${exp}-${sign(stored, token, exp)}`;
+}
+
+export function checkAccess(stored, token, segment) {
+  const m = /^k-([0-9a-z]+)-([\w-]+)$/.exec(segment || '');
+  if (!m || parseInt(m[1], 36) < Date.now()) return false;
+  return same(Buffer.from(m[2]), Buffer.from(sign(stored, token, m[1])));
+}
+
+export const isExpired = (p, now = Date.now()) => !p.expiresAt || p.expiresAt <= now;
+
+export function entryOf(snapshot) {
+  const { token, slug, name, revisionId, createdAt, expiresAt } = snapshot;
+  return { token, slug, name, revisionId: revisionId || null, createdAt, expiresAt, protected: !!snapshot.password };
+}
+
+export async function loadPreview(token) {
+  if (!TOKEN_RE.test(token || '')) return null;
+  const file = await readFile(envPick(), snapshotPath(token));
+  if (file.status === 404) return null;
+  return JSON.parse(file.text);
+}
+
+export async function loadIndex(read = (path) => readFile(envPick(), path)) {
+  const file = await read(INDEX_PATH);
+  try {
+    const index = file.text ? JSON.parse(file.text) : {};
+    return index && typeof index === 'object' && !Array.isArray(index) ? index : {};
+  } catch {
+    return {};
+  }
+}
+
+// Canvis per al commit: aplica `update` a l'índex i esborra de passada les vistes caducades
+export async function indexChanges(read, update) {
+  const index = await loadIndex(read);
+  const changes = {};
+  update(index);
+  for (const [token, entry] of Object.entries(index)) {
+    if (!isExpired(entry)) continue;
+    delete index[token];
+    changes[snapshotPath(token)] = null;
+  }
+  changes[INDEX_PATH] = JSON.stringify(index, null, 2);
+  return changes;
+}
@@ -0,0 +1,105 @@
+// netlify/functions/lib/revisions.js
+// Historial de versions d'un projecte al repo DATA (ESM, compartit per
+// projects-save i revisions-*). Cada revisió entra al mateix commit que el
+// desat que la genera (vegeu revisionChanges).
+//
+//   projects/<slug>/revisions/<revId>.json  → { id, createdAt, source, prompt, preset, model, jobId, restoredFrom, files }
+//   projects/<slug>/revisions/index.json    → [{ id, createdAt, source, prompt, preset, model, jobId, restoredFrom }] (més nova primer)
+//
+// `source`: 'save' (per defecte), 'create', 'ai', 'local', 'editor', 'restore'.
+
+import { envPick, readFile } from './github.js';
+
+// Màxim d'entrades a index.json; els fitxers de revisió antics es conserven
+const INDEX_MAX = 200;
+const SOURCES = ['save', 'create', 'ai', 'local', 'editor', 'restore'];
+
+const revisionsDir = (slug) => `projects/${slug}/revisions`;
+
+export function newRevisionId() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+export function summary(rev) {
+  const { files, ...rest } = rev;
+  return { ...rest, files: Object.keys(files || {}) };
+}
+
+export async function listRevisions(slug) {
+  const index = await readFile(envPick(), `${revisionsDir(slug)}/index.json`);
+  if (index.status === 404) return [];
+  try {
+    const list = JSON.parse(index.text);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function getRevision(slug, id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  const file = await readFile(envPick(), `${revisionsDir(slug)}/${id}.json`);
+  if (file.status === 404) return null;
+  return JSON.parse(file.text);
+}
+
+// Revisió nova amb els fitxers indicats (només les metadades conegudes)
+export function buildRevision({ files, source, prompt, preset, model, jobId, restoredFrom } = {}) {
+  const str = (v, max = 200) => (typeof v === 'string' ? v.slice(0, max) : '');
+  const rev = {
+    id: newRevisionId(),
+    createdAt: Date.now(),
+    source: SOURCES.includes(source) ? source : 'save'
+  };
+  for (const [key, value] of Object.entries({ prompt: str(prompt, 2000), preset: str(preset), model: str(model), jobId: str(jobId), restoredFrom: str(restoredFrom) })) {
+    if (value) rev[key] = value;
+  }
+  rev.files = files;
+  return rev;
+}
+
+// Canvis per afegir `rev` al mateix commit que els fitxers del projecte: el fitxer
+// de la revisió i index.json actualitzat. `read` és el de commit() (lib/github.js),
+// de manera que l'índex es llegeix del commit pare i, si la branca es mou, es
+// torna a construir sobre el nou.
+export async function revisionChanges(slug, rev, read) {
+  const dir = revisionsDir(slug);
+  const index = await read(`${dir}/index.json`);
+  let list = [];
+  try { list = index.text ? JSON.parse(index.text) : []; } catch { list = []; }
+  if (!Array.isArray(list)) list = [];
+  const { files: _files, ...entry } = rev;
+  return {
+    [`${dir}/${rev.id}.json`]: JSON.stringify(rev),
+    [`${dir}/index.json`]: JSON.stringify([entry, ...list].slice(0, INDEX_MAX), null, 2)
+  };
+}
+
+// Fitxers d'un projecte que formen part d'una revisió: tots els de text (pàgines, CSS,
+// JS, JSON, SVG…) amb un path relatiu vàlid. Els binaris (data URL) en queden fora per no
+// inflar l'historial; meta.json i revisions/ no són fitxers del projecte.
+const PATH_RE = /^(?!\/)(?!.*(?:^|\/)\.{1,2}(?:\/|$))[\w.\-/]+$/;
+export const isProjectPath = (rel) =>
+  typeof rel === 'string' && PATH_RE.test(rel) && rel !== 'meta.json' && !rel.startsWith('revisions/');
+
+export function pickProjectFiles(files) {
+  const out = {};
+  for (const [name, content] of Object.entries(files || {})) {
+    if (!isProjectPath(name) || typeof content !== 'string') continue;
+    if (content.trim() === '' || content.startsWith('data:')) continue;
+    out[name] = content;
+  }
+  return out;
+}
+
+// Esborrats (valor null per a commit()) dels fitxers de projects/<slug> que ja no formen
+// part del projecte: els que no compleixen `keep(rel)`. `list` és el de commit().
+export async function staleFiles(slug, keep, list) {
+  const prefix = `projects/${slug}/`;
+  const out = {};
+  for (const it of await list(prefix)) {
+    const rel = it.path.slice(prefix.length);
+    if (isProjectPath(rel) && !keep(rel)) out[it.path] = null;
+  }
+  return out;
+}
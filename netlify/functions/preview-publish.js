@@ -0,0 +1,80 @@
+// netlify/functions/preview-publish.js
+// POST /.netlify/functions/preview-publish
+// Body: { slug, name?, files?, revisionId?, expiresInHours?, password? }
+//   Fitxers de la vista prèvia: `files` si s'envien (versió que té el dashboard, també en mode
+//   local); si no, la revisió `revisionId`; si no, la versió actual de projects/<slug>.
+//   expiresInHours: per defecte 72, màxim 720. password: opcional, es guarda només el hash.
+// Crea previews/<token>.json i l'entrada a previews/index.json en un sol commit (vegeu lib/previews.js).
+// Retorna: { ok, preview: { token, slug, name, revisionId, createdAt, expiresAt, protected }, url }
+
+import { envPick, isConfigured, commit, readTree } from './lib/github.js';
+import { getRevision } from './lib/revisions.js';
+import { dataUrl } from './lib/mime.js';
+import { newToken, hashPassword, snapshotPath, indexChanges, entryOf, DEFAULT_HOURS, MAX_HOURS } from './lib/previews.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+// Versió actual del projecte al repo de dades, amb els binaris com a data URL
+async function currentFiles(repo, slug) {
+  const tree = await readTree(repo, `projects/${slug}`, { skip: (path) => path.startsWith('revisions/') || path === 'meta.json' });
+  return Object.fromEntries(tree.files.map((it) => [it.path, it.text !== undefined ? it.text : dataUrl(it.path, it.base64)]));
+}
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'POST') return json(405, { ok: false, error: 'Use POST' });
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); } catch { return json(400, { ok: false, error: 'Invalid JSON body' }); }
+  const slug = String(body.slug || body.id || '').trim();
+  if (!slug || !/^[\w.-]+$/.test(slug)) return json(400, { ok: false, error: 'Missing slug' });
+  const revisionId = String(body.revisionId || '').trim() || null;
+  const hours = Math.min(MAX_HOURS, Math.max(1, Number(body.expiresInHours) || DEFAULT_HOURS));
+  const password = typeof body.password === 'string' && body.password ? body.password : null;
+  if (password && password.length > 200) return json(400, { ok: false, error: 'Contraseña demasiado larga' });
+
+  const repo = envPick('data');
+  if (!isConfigured(repo)) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    let files = body.files && typeof body.files === 'object' ? body.files : null;
+    if (!files && revisionId) {
+      const rev = await getRevision(slug, revisionId);
+      if (!rev) return json(404, { ok: false, error: 'not_found' });
+      files = rev.files;
+    }
+    if (!files) files = await currentFiles(repo, slug);
+    files = Object.fromEntries(Object.entries(files).filter(([path, v]) => typeof v === 'string' && !path.split('/').includes('..')));
+    if (typeof files['index.html'] !== 'string') return json(422, { ok: false, error: 'El proyecto no tiene index.html' });
+
+    const createdAt = Date.now();
+    const snapshot = {
+      token: newToken(),
+      slug,
+      name: String(body.name || slug).slice(0, 200),
+      revisionId,
+      createdAt,
+      expiresAt: createdAt + hours * 3600 * 1000,
+      ...(password ? { password: hashPassword(password) } : {}),
+      files
+    };
+    const preview = entryOf(snapshot);
+    await commit(repo, {
+      message: `preview(${slug}): publish ${revisionId ? `revision ${revisionId}` : 'snapshot'}`,
+      changes: async ({ read }) => ({
+        [snapshotPath(snapshot.token)]: JSON.stringify(snapshot),
+        ...(await indexChanges(read, (index) => { index[snapshot.token] = preview; }))
+      })
+    });
+    return json(200, { ok: true, preview, url: `/p/${snapshot.token}/` });
+  } catch (e) {
+    if (e.code === 'conflict') return json(409, { ok: false, error: 'conflict', details: e.message });
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,49 @@
+// netlify/functions/preview-revoke.js
+// POST /.netlify/functions/preview-revoke  Body: { token }
+// Esborra la instantània i la treu de l'índex en un sol commit: l'enllaç deixa de funcionar
+// immediatament, també per a qui ja havia introduït la contrasenya.
+// Retorna: { ok, token }  (404 si no existeix)
+
+import { envPick, isConfigured, commit } from './lib/github.js';
+import { snapshotPath, indexChanges, TOKEN_RE } from './lib/previews.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'POST') return json(405, { ok: false, error: 'Use POST' });
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); } catch { return json(400, { ok: false, error: 'Invalid JSON body' }); }
+  const token = String(body.token || '').trim();
+  if (!TOKEN_RE.test(token)) return json(400, { ok: false, error: 'Invalid token' });
+
+  const repo = envPick('data');
+  if (!isConfigured(repo)) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    let found = false;
+    await commit(repo, {
+      message: `preview: revoke ${token.slice(0, 8)}`,
+      changes: async ({ read }) => {
+        found = (await read(snapshotPath(token))).status !== 404;
+        if (!found) return {};
+        return {
+          [snapshotPath(token)]: null,
+          ...(await indexChanges(read, (index) => { delete index[token]; }))
+        };
+      }
+    });
+    if (!found) return json(404, { ok: false, error: 'not_found' });
+    return json(200, { ok: true, token });
+  } catch (e) {
+    if (e.code === 'conflict') return json(409, { ok: false, error: 'conflict', details: e.message });
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
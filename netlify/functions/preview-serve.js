@@ -0,0 +1,101 @@
+// netlify/functions/preview-serve.js
+// Serveix una vista prèvia publicada amb preview-publish.
+// GET  /p/<token>/<path>   (netlify.toml la reescriu a aquesta funció)
+// POST /p/<token>/         formulari de contrasenya → 303 a /p/<token>/k-<exp>-<firma>/
+// Respon 404 si no existeix o s'ha revocat, 410 si ha caducat i 401 si cal contrasenya.
+// Tots els fitxers (HTML, però també SVG i XML, que poden dur scripts) van amb CSP `sandbox`:
+// els scripts del lloc generat s'executen en un origen opac, sense accés al localStorage del
+// dashboard que comparteix domini.
+
+import { Buffer } from 'node:buffer';
+import { mimeOf } from './lib/mime.js';
+import { loadPreview, isExpired, checkPassword, accessSegment, checkAccess } from './lib/previews.js';
+
+const BASE_HEADERS = {
+  'Cache-Control': 'private, no-store',
+  'X-Robots-Tag': 'noindex, nofollow',
+  'Referrer-Policy': 'no-referrer',
+  'X-Content-Type-Options': 'nosniff'
+};
+const SANDBOX = 'sandbox allow-scripts allow-forms allow-popups allow-modals';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function page(statusCode, title, content) {
+  const body = `<!doctype html><html lang="es"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title><style>body{font-family:system-ui,sans-serif;background:#0b1028;color:#e8ecff;display:grid;place-items:center;min-height:100vh;margin:0}
+main{max-width:360px;padding:24px}input,button{font:inherit;padding:10px;border-radius:10px;border:1px solid #ffffff33;width:100%;box-sizing:border-box;margin-top:8px}
+button{background:#3b5bfd;color:#fff;border:none;cursor:pointer}.err{color:#ff6b81}</style></head><body><main>${content}</main></body></html>`;
+  return { statusCode, headers: { ...BASE_HEADERS, 'Content-Type': 'text/html; charset=utf-8' }, body };
+}
+const notFound = () => page(404, 'Vista previa no disponible', '<h1>Vista previa no disponible</h1><p>El enlace no existe o ha sido revocado.</p>');
+
+function passwordForm(name, error) {
+  return page(401, name, `<h1>${escapeHtml(name)}</h1><p>Esta vista previa está protegida con contraseña.</p>
+<form method="post"><input type="password" name="password" placeholder="Contraseña" required autofocus>
+${error ? '<p class="err">Contraseña incorrecta.</p>' : ''}<button>Ver la vista previa</button></form>`);
+}
+
+// /p/<token>/<resta> (o /.netlify/functions/preview-serve/<token>/<resta> si s'hi accedeix directament)
+function parsePath(event) {
+  const qp = event.queryStringParameters || {};
+  if (qp.token) return { token: qp.token, rest: qp.path || '' };
+  const m = /^\/(?:p|\.netlify\/functions\/preview-serve)\/([^/]+)\/?(.*)$/.exec(event.path || '');
+  return m ? { token: m[1], rest: m[2] } : { token: '', rest: '' };
+}
+
+// /p/<token> sense barra final: les URL relatives del lloc sortirien de /p/<token>/
+function missingSlash(event, rest) {
+  if (rest || (!event.rawUrl && !event.path)) return false;
+  let pathname = event.path || '';
+  try { if (event.rawUrl) pathname = new URL(event.rawUrl).pathname; } catch { /* es queda event.path */ }
+  return !pathname.endsWith('/');
+}
+
+function formPassword(event) {
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+  return new URLSearchParams(raw).get('password');
+}
+
+export async function handler(event) {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST' && event.httpMethod !== 'HEAD') {
+    return { statusCode: 405, headers: BASE_HEADERS, body: '' };
+  }
+  try {
+    let { token, rest } = parsePath(event);
+    const preview = await loadPreview(token);
+    if (!preview) return notFound();
+    if (isExpired(preview)) return page(410, 'Vista previa caducada', '<h1>Vista previa caducada</h1><p>Pide a quien te la envió un enlace nuevo.</p>');
+    if (missingSlash(event, rest)) {
+      return { statusCode: 301, headers: { ...BASE_HEADERS, Location: `/p/${encodeURIComponent(token)}/` }, body: '' };
+    }
+
+    if (preview.password) {
+      const [segment, ...tail] = rest.split('/');
+      if (checkAccess(preview.password, token, segment)) {
+        rest = tail.join('/');
+      } else if (event.httpMethod === 'POST') {
+        if (!checkPassword(preview.password, formPassword(event))) return passwordForm(preview.name, true);
+        const location = `/p/${token}/${accessSegment(preview.password, token, preview.expiresAt)}/`;
+        return { statusCode: 303, headers: { ...BASE_HEADERS, Location: location }, body: '' };
+      } else {
+        return passwordForm(preview.name, false);
+      }
+    }
+
+    let path = rest.split('/').map((seg) => { try { return decodeURIComponent(seg); } catch { return seg; } }).join('/');
+    if (!path || path.endsWith('/')) path += 'index.html';
+    const content = preview.files[path];
+    if (typeof content !== 'string') return notFound();
+
+    const type = mimeOf(path);
+    // Sandbox a tots els fitxers, no només a l'HTML: un SVG obert directament també executa scripts
+    const headers = { ...BASE_HEADERS, 'Content-Type': type, 'Content-Security-Policy': SANDBOX };
+    // Els binaris es guarden com a data URL
+    const m = /^data:[^;,]*;base64,(.*)$/s.exec(content);
+    if (m) return { statusCode: 200, headers, body: m[1], isBase64Encoded: true };
+    return { statusCode: 200, headers, body: content };
+  } catch (e) {
+    return page(500, 'Error', `<h1>No se pudo cargar la vista previa</h1><p>${escapeHtml(e?.message || String(e))}</p>`);
+  }
+}
@@ -0,0 +1,33 @@
+// netlify/functions/previews-list.js
+// GET /.netlify/functions/previews-list?slug=…
+// Retorna: { ok, previews: [{ token, slug, name, revisionId, createdAt, expiresAt, protected }] } (vigents, més nova primer)
+
+import { envPick, isConfigured } from './lib/github.js';
+import { loadIndex, isExpired } from './lib/previews.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'GET') return json(405, { ok: false, error: 'Use GET' });
+
+  const slug = String((event.queryStringParameters || {}).slug || '').trim();
+  if (!slug) return json(400, { ok: false, error: 'Missing slug' });
+  if (!isConfigured(envPick())) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    const now = Date.now();
+    const previews = Object.values(await loadIndex())
+      .filter((p) => p.slug === slug && !isExpired(p, now))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return json(200, { ok: true, previews });
+  } catch (e) {
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
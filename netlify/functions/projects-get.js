@@ -1,6 +1,14 @@
 // netlify/functions/projects-get.js
 // GET  /.netlify/functions/projects-get?slug=…  (o ?id=…)
-// Retorna: { project: {...}, files: { "index.html": "...", "styles/style.css": "..." } }
+// Retorna: { project: {...}, files: { "index.html": "...", "styles/style.css": "...", "img/logo.png": "data:image/png;base64,…" } }
+// Llegeix tot el directori del projecte (subcarpetes incloses) amb un sol llistat del tree.
+// Els fitxers binaris es retornen com a data URL; meta.json i revisions/ no formen part de `files`.
+// `project` inclou els camps de meta.json que el dashboard hi desa (vegeu lib/meta.js).
+// `etag`: sha del tree de projects/<slug>; projects-save l'accepta com a expectedEtag.
+
+import { envPick, readTree } from './lib/github.js';
+import { dataUrl } from './lib/mime.js';
+import { metaExtras } from './lib/meta.js';
 
 const CORS = {
   'Access-Control-Allow-Origin': '*',
@@ -8,36 +16,7 @@ const CORS = {
   'Access-Control-Allow-Headers': 'Content-Type,Authorization'
 };
 
-// Llegeix variables d’entorn (prioritza les *DATA*, després generiques)
-function envPick() {
-  const OWNER  = process.env.GH_DATA_OWNER  || process.env.GITHUB_OWNER || process.env.GH_OWNER;
-  const REPO   = process.env.GH_DATA_REPO   || process.env.GITHUB_DATA_REPO || process.env.GITHUB_REPO || process.env.GH_REPO;
-  const BRANCH = process.env.GH_DATA_BRANCH || process.env.GITHUB_DATA_BRANCH || process.env.GH_BRANCH || 'main';
-  const TOKEN  = process.env.GITHUB_DATA_TOKEN || process.env.GH_DATA_TOKEN || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
-  return { OWNER, REPO, BRANCH, TOKEN };
-}
-
-async function gh(path, { method = 'GET', body } = {}) {
-  const { TOKEN } = envPick();
-  const res = await fetch(`https://api.github.com${path}`, {
-    method,
-    headers: {
-      'Accept': 'application/vnd.github+json',
-      'User-Agent': 'project-central-functions',
-      ...(TOKEN ? { Authorization: `token ${TOKEN}` } : {})
-    },
-    body: body ? JSON.stringify(body) : undefined
-  });
-  const text = await res.text();
-  let data; try { data = text ? JSON.parse(text) : null; } catch { data = { raw: text }; }
-  return { ok: res.ok, status: res.status, data };
-}
-
-function decodeBase64(content) {
-  try { return Buffer.from(content || '', 'base64').toString('utf8'); } catch { return ''; }
-}
-
-exports.handler = async (event) => {
+export const handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers: CORS, body: '' };
   }
@@ -53,33 +32,23 @@ exports.handler = async (event) => {
       return { statusCode: 400, headers: CORS, body: JSON.stringify({ error: 'Missing slug' }) };
     }
 
-    const { OWNER, REPO, BRANCH } = envPick();
+    const repo = envPick('data');
     const base = `projects/${slug}`;
 
-    // 1) Llista del directori projects/<slug>
-    const list = await gh(`/repos/${OWNER}/${REPO}/contents/${encodeURIComponent(base)}?ref=${encodeURIComponent(BRANCH)}`);
-    if (list.status === 404) {
+    // 1) Tots els fitxers de projects/<slug>, menys l'historial de versions
+    const tree = await readTree(repo, base, { skip: (path) => path.startsWith('revisions/') });
+    if (!tree.files.length) {
       return { statusCode: 404, headers: CORS, body: JSON.stringify({ error: 'not_found' }) };
     }
-    if (!list.ok || !Array.isArray(list.data)) {
-      return { statusCode: list.status || 500, headers: CORS, body: JSON.stringify({ error: 'github_error_list', details: list.data }) };
-    }
 
-    // 2) Baixa cada fitxer del directori
+    // 2) meta.json completa el project; la resta van a `files` amb el path relatiu
     const files = {};
     let project = { id: slug, slug, name: slug }; // mínim viable
 
-    for (const it of list.data) {
-      if (it.type !== 'file') continue;
-
-      const one = await gh(`/repos/${OWNER}/${REPO}/contents/${encodeURIComponent(`${base}/${it.name}`)}?ref=${encodeURIComponent(BRANCH)}`);
-      if (!one.ok || !one.data) continue;
-
-      // Si trobem un meta.json, el parsegem per completar el project
-      if (it.name === 'meta.json') {
-        const txt = decodeBase64(one.data.content);
+    for (const it of tree.files) {
+      if (it.path === 'meta.json') {
         try {
-          const meta = JSON.parse(txt);
+          const meta = JSON.parse(it.text);
           project = {
             id: meta.id || slug,
             slug: meta.slug || slug,
@@ -88,18 +57,21 @@ exports.handler = async (event) => {
             status: meta.status || 'cloud',
             repo: meta.repo || null,
             updatedAt: meta.updatedAt || Date.now(),
-            createdAt: meta.createdAt || Date.now()
+            createdAt: meta.createdAt || Date.now(),
+            tags: Array.isArray(meta.tags) ? meta.tags : [],
+            lastPrompt: meta.lastPrompt || '',
+            ...metaExtras(meta)
           };
         } catch { /* ignore */ }
       } else {
-        files[it.name] = decodeBase64(one.data.content);
+        files[it.path] = it.text !== undefined ? it.text : dataUrl(it.path, it.base64);
       }
     }
 
     return {
       statusCode: 200,
       headers: { ...CORS, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ project, files })
+      body: JSON.stringify({ project, files, etag: tree.sha })
     };
   } catch (err) {
     return {
@@ -1,77 +1,141 @@
 // ──────────────────────────────────────────────────────────────────────────────
 // File: netlify/functions/projects-list.js
-// Purpose: List existing projects (folders) from the DATA repo
+// Purpose: List existing projects (folders) from the DATA repo, with the fields
+//          of each project's meta.json
 // Env vars (tries DATA-first, then fallbacks):
 //   GITHUB_DATA_TOKEN | GH_DATA_TOKEN | GITHUB_TOKEN | GH_TOKEN
 //   GH_DATA_OWNER | GITHUB_OWNER | GH_OWNER
 //   GH_DATA_REPO  | GITHUB_DATA_REPO | GITHUB_REPO | GH_REPO
 //   GH_DATA_BRANCH | GITHUB_DATA_BRANCH | GH_BRANCH  (default 'main')
+// Query:
+//   q       text search over name, slug, desc, tags and last prompt
+//   status  exact status (generated, edited, cloud…)
+//   sort    updatedAt (default) | createdAt | name
+//   order   asc | desc (default: desc for dates, asc for name)
+//   page    1-based page (default 1)
+//   limit   page size (default 50, max 100)
+// Returns: { ok, projects: [{ id, slug, name, desc, status, createdAt, updatedAt, tags, lastPrompt, repo, etag,
+//                              target?, deploy?, deploys?, protectedSelectors?, brief? }],
+//            total, page, limit, pages, statuses }
+//   etag is the sha of the project's folder tree (see projects-save expectedEtag)
 // ──────────────────────────────────────────────────────────────────────────────
 
+import { envPick, listFiles, readBlob } from './lib/github.js';
+import { metaExtras } from './lib/meta.js';
+
 const CORS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type,Authorization'
 };
 
-function envPick() {
-  const OWNER  = process.env.GH_DATA_OWNER  || process.env.GITHUB_OWNER || process.env.GH_OWNER;
-  const REPO   = process.env.GH_DATA_REPO   || process.env.GITHUB_DATA_REPO || process.env.GITHUB_REPO || process.env.GH_REPO;
-  const BRANCH = process.env.GH_DATA_BRANCH || process.env.GITHUB_DATA_BRANCH || process.env.GH_BRANCH || 'main';
-  const TOKEN  = process.env.GITHUB_DATA_TOKEN || process.env.GH_DATA_TOKEN || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
-  return { OWNER, REPO, BRANCH, TOKEN };
+const SORTS = ['updatedAt', 'createdAt', 'name'];
+const MAX_LIMIT = 100;
+// meta.json read in parallel, a few at a time
+const META_CONCURRENCY = 8;
+
+const normalize = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function summarize(slug, meta) {
+  const str = (v) => (typeof v === 'string' ? v : '');
+  return {
+    id: str(meta.id) || slug,
+    slug,
+    name: str(meta.name) || slug,
+    desc: str(meta.desc),
+    status: str(meta.status) || 'cloud',
+    createdAt: Number(meta.createdAt) || null,
+    updatedAt: Number(meta.updatedAt) || Number(meta.createdAt) || null,
+    tags: Array.isArray(meta.tags) ? meta.tags.filter((t) => typeof t === 'string') : [],
+    lastPrompt: str(meta.lastPrompt),
+    repo: meta.repo || null,
+    ...metaExtras(meta)
+  };
 }
 
-async function gh(path, { method = 'GET', body } = {}) {
-  const { TOKEN } = envPick();
-  const res = await fetch(`https://api.github.com${path}`, {
-    method,
-    headers: {
-      'Accept': 'application/vnd.github+json',
-      'User-Agent': 'project-central-functions',
-      ...(TOKEN ? { Authorization: `token ${TOKEN}` } : {})
-    },
-    body: body ? JSON.stringify(body) : undefined
-  });
-  const text = await res.text();
-  let data; try { data = text ? JSON.parse(text) : null; } catch { data = { raw:text }; }
-  if (!res.ok) {
-    const err = new Error(`GitHub ${method} ${res.status}`);
-    err.status = res.status; err.data = data; throw err;
+async function readMetas(repo, entries) {
+  const out = [];
+  for (let i = 0; i < entries.length; i += META_CONCURRENCY) {
+    const batch = entries.slice(i, i + META_CONCURRENCY);
+    out.push(...await Promise.all(batch.map(async ({ slug, sha }) => {
+      if (!sha) return summarize(slug, {});
+      try {
+        return summarize(slug, JSON.parse((await readBlob(repo, sha)).text || '{}'));
+      } catch {
+        return summarize(slug, {}); // meta.json trencat: el projecte surt igualment
+      }
+    })));
+  }
+  return out;
+}
+
+function query(projects, qp) {
+  const q = normalize(qp.get('q')).trim();
+  const status = (qp.get('status') || '').trim();
+  const sort = SORTS.includes(qp.get('sort')) ? qp.get('sort') : 'updatedAt';
+  const order = ['asc', 'desc'].includes(qp.get('order')) ? qp.get('order') : (sort === 'name' ? 'asc' : 'desc');
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(qp.get('limit'), 10) || 50));
+
+  let list = projects;
+  if (status) list = list.filter((p) => p.status === status);
+  if (q) {
+    const terms = q.split(/\s+/);
+    list = list.filter((p) => {
+      const hay = normalize([p.name, p.slug, p.desc, p.tags.join(' '), p.lastPrompt].join(' '));
+      return terms.every((t) => hay.includes(t));
+    });
   }
-  return data;
+  const dir = order === 'asc' ? 1 : -1;
+  list = [...list].sort((a, b) => {
+    const cmp = sort === 'name'
+      ? a.name.localeCompare(b.name, 'es', { sensitivity: 'base' })
+      : (a[sort] || 0) - (b[sort] || 0);
+    return cmp * dir || a.slug.localeCompare(b.slug);
+  });
+
+  const pages = Math.max(1, Math.ceil(list.length / limit));
+  const page = Math.min(pages, Math.max(1, parseInt(qp.get('page'), 10) || 1));
+  return { projects: list.slice((page - 1) * limit, page * limit), total: list.length, page, limit, pages };
 }
 
-exports.handler = async (event) => {
+export const handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers: CORS, body: '' };
   }
 
-  const { OWNER, REPO, BRANCH, TOKEN } = envPick();
-  const debug = /(^|&)debug=1(&|$)/.test(event.rawQuery || '');
+  const repo = envPick('data');
+  const { OWNER, REPO, BRANCH, TOKEN } = repo;
+  const qp = new URLSearchParams(event.queryStringParameters || {});
+  const debug = qp.get('debug') === '1' || /(^|&)debug=1(&|$)/.test(event.rawQuery || '');
 
   try {
-    let projects = [];
-    // List folder `projects/` at the repo root. If missing → empty list.
-    try {
-      const list = await gh(`/repos/${OWNER}/${REPO}/contents/projects?ref=${encodeURIComponent(BRANCH)}`);
-      projects = Array.isArray(list)
-        ? list.filter(x => x.type === 'dir').map(x => ({ name: x.name }))
-        : [];
-    } catch (e) {
-      if (e.status !== 404) throw e; // 404 means no projects folder yet
-      projects = [];
+    // Every project folder under `projects/`, from a single tree listing. The
+    // folder is the project even without meta.json (older saves).
+    const { files, dirs } = await listFiles(repo, 'projects');
+    const slugs = new Map();
+    for (const f of files) {
+      const [slug, ...rest] = f.path.split('/');
+      if (!rest.length) continue;
+      if (!slugs.has(slug)) slugs.set(slug, null);
+      if (rest.join('/') === 'meta.json') slugs.set(slug, f.sha);
     }
+    const all = (await readMetas(repo, [...slugs].map(([slug, sha]) => ({ slug, sha }))))
+      .map((p) => ({ ...p, etag: dirs[p.slug] || null }));
 
     const body = {
       ok: true,
-      projects,
+      ...query(all, qp),
+      statuses: [...new Set(all.map((p) => p.status))].sort(),
       ...(debug ? { hasToken: !!TOKEN, owner: OWNER, repo: REPO, branch: BRANCH } : {})
     };
     return { statusCode: 200, headers: { ...CORS, 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
   } catch (err) {
+    // 404/409: branch or repo still empty → no projects yet
+    if (err.status === 404 || err.status === 409) {
+      const body = { ok: true, ...query([], qp), statuses: [] };
+      return { statusCode: 200, headers: { ...CORS, 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+    }
     const body = { ok: false, error: 'github_error', details: err.data || err.message };
     return { statusCode: 500, headers: { ...CORS, 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
   }
 };
-
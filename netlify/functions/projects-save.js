@@ -1,7 +1,23 @@
 // netlify/functions/projects-save.js
 // ESM — compatible amb "type":"module" al package.json
-
-import { Buffer } from 'node:buffer';
+// Body: { project, files, revision?, expectedEtag? }
+//   files: manifest complet del projecte { path: contingut } — pàgines, CSS, JS, JSON, SVG…
+//   Es desen tots els fitxers de text; els binaris (imatges, fonts…) arriben com a data URL
+//   i es desen descodificats, només si han canviat. Si `files` inclou index.html (manifest
+//   complet), els fitxers del repo que ja no hi són s'esborren en el mateix commit.
+//   revision: { source, prompt, preset, model, jobId, restoredFrom } — metadades de la
+//   revisió que es registra a projects/<slug>/revisions/ amb cada desat (vegeu lib/revisions.js)
+// Tot el desat (fitxers, meta.json i revisió) és un únic commit: o entra sencer o no
+// entra res. Si la branca canvia mentre es desa i no es pot refer, respon 409.
+// expectedEtag: etag del projecte (sha del tree de projects/<slug>) sobre el qual s'ha
+//   editat. Si a GitHub ja és un altre (algú altre hi ha desat), respon 409 amb l'etag
+//   actual i no escriu res. Sense expectedEtag es desa igualment (últim guanya).
+// Retorna: { ok, commit, etag, results, revision }
+
+import { envPick, isConfigured, commit, pathSha, blobSha } from './lib/github.js';
+import { buildRevision, revisionChanges, summary, pickProjectFiles, staleFiles, isProjectPath } from './lib/revisions.js';
+import { fileValue } from './lib/mime.js';
+import { cleanMeta } from './lib/meta.js';
 
 // Helpers bàsics --------------------------------------------------------------
 const cors = () => ({
@@ -14,76 +30,22 @@ const ok = (body = {}) => ({
   headers: cors(),
   body: JSON.stringify(body)
 });
-const error = (code, msg) => ({
+const error = (code, msg, extra = {}) => ({
   statusCode: code,
   headers: cors(),
-  body: JSON.stringify({ ok: false, error: msg })
-});
-const ghHeaders = (token) => ({
-  'Authorization': `token ${token}`,
-  'Accept': 'application/vnd.github.v3+json',
-  'Content-Type': 'application/json'
+  body: JSON.stringify({ ok: false, error: msg, ...extra })
 });
 
-// Encode segur de “segments” del path (sense escapar les /)
-const encPath = (p) => p.split('/').map(encodeURIComponent).join('/');
-
-// GitHub: PUT (crea/actualitza) un fitxer -------------------------------------
-async function gitPutFile({ owner, repo, branch, token, path, content }) {
-  try {
-    const segs = encPath(path);
-
-    // 1) agafa SHA si el fitxer existeix
-    const getUrl =
-      `https://api.github.com/repos/${owner}/${repo}/contents/${segs}?ref=${encodeURIComponent(branch)}`;
-    const getRes = await fetch(getUrl, { headers: ghHeaders(token) });
-    let sha;
-    if (getRes.status === 200) {
-      const data = await getRes.json();
-      sha = data.sha;
-    } else if (getRes.status !== 404) {
-      const info = await getRes.text();
-      return { ok: false, error: `GitHub GET ${getRes.status}: ${info}` };
-    }
-
-    // 2) PUT amb el contingut en base64
-    const putUrl =
-      `https://api.github.com/repos/${owner}/${repo}/contents/${segs}`;
-    const body = {
-      message: `chore: save ${path}`,
-      content: Buffer.from(content, 'utf8').toString('base64'),
-      branch,
-      ...(sha ? { sha } : {})
-    };
-    const putRes = await fetch(putUrl, {
-      method: 'PUT',
-      headers: ghHeaders(token),
-      body: JSON.stringify(body)
-    });
-
-    if (putRes.ok) return { ok: true };
-    const err = await putRes.text();
-    return { ok: false, error: `GitHub PUT ${putRes.status}: ${err}` };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
-}
-
 // Netlify Function (ESM) ------------------------------------------------------
 export async function handler(event) {
   // CORS preflight
   if (event.httpMethod === 'OPTIONS') return ok();
 
   try {
-    const { project, files } = JSON.parse(event.body || '{}');
-
-    // Llegeix credencials. Prioritzem variables DATA i proporcionem múltiples fallbacks per coherència amb altres funcions.
-    const owner  = process.env.GH_DATA_OWNER   || process.env.GITHUB_OWNER  || process.env.GH_OWNER;
-    const repo   = process.env.GH_DATA_REPO    || process.env.GITHUB_DATA_REPO || process.env.GITHUB_REPO || process.env.GH_REPO;
-    const branch = process.env.GH_DATA_BRANCH  || process.env.GITHUB_DATA_BRANCH || process.env.GH_BRANCH || 'main';
-    const token  = process.env.GITHUB_DATA_TOKEN || process.env.GH_DATA_TOKEN || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    const { project, files, revision = {}, expectedEtag } = JSON.parse(event.body || '{}');
 
-    if (!owner || !repo || !token) {
+    const repo = envPick('data');
+    if (!isConfigured(repo)) {
       return error(400, 'Missing GitHub credentials (owner/repo/token)');
     }
     if (!project) return error(400, 'Missing project data');
@@ -93,22 +55,48 @@ export async function handler(event) {
 
     const prefix = `projects/${slug}`;
 
-    // Construïm l'array de fitxers a desar. Afegim meta.json amb les metadades del projecte
-    const candidates = [];
-    // index.html, css, js
-    const indexFile = files?.['index.html'];
-    const cssFile   = files?.['styles/style.css'];
-    const jsFile    = files?.['scripts/app.js'];
-    if (typeof indexFile === 'string' && indexFile.trim() !== '') candidates.push(['index.html', indexFile]);
-    if (typeof cssFile   === 'string' && cssFile.trim()   !== '') candidates.push(['styles/style.css', cssFile]);
-    if (typeof jsFile    === 'string' && jsFile.trim()    !== '') candidates.push(['scripts/app.js', jsFile]);
+    // Construïm l'array de fitxers a desar (tots els de text del manifest). Afegim meta.json
+    // amb les metadades del projecte
+    const textFiles = pickProjectFiles(files);
+    const candidates = Object.entries(textFiles);
+
+    // Coneixement propi del projecte (paleta i ordre de seccions): el runner el fa servir
+    // en lloc del global. Han de ser JSON vàlid perquè no es desin fitxers trencats.
+    for (const name of ['brand.json', 'ux.json']) {
+      if (!(name in textFiles)) continue;
+      try { JSON.parse(textFiles[name]); } catch { return error(400, `${name} is not valid JSON`); }
+    }
+    const fullManifest = typeof files?.['index.html'] === 'string';
+
+    // Binaris: fora de les revisions, es comparen pel sha del blob per no tornar-los a pujar
+    const assets = [];
+    for (const [rel, content] of Object.entries(files || {})) {
+      if (!isProjectPath(rel) || typeof content !== 'string' || !content.startsWith('data:')) continue;
+      const value = fileValue(content);
+      if (typeof value === 'string') return error(400, `${rel} is not a base64 data URL`);
+      assets.push([rel, value]);
+    }
+    let writtenAssets = [];
 
-    // Afegeix meta.json per desar metadades mínimes del projecte
-    const meta = { ...project };
+    // Afegeix meta.json per desar metadades mínimes del projecte (sense secrets: vegeu lib/meta.js)
+    const meta = cleanMeta(project);
     delete meta.files;
     // Si no hi ha camp id/slug, assigna el slug calculat per coherència
     if (!meta.id) meta.id = slug;
     if (!meta.slug) meta.slug = slug;
+    // Camps que projects-list fa servir per cercar, filtrar i ordenar
+    meta.updatedAt = Number(meta.updatedAt) || Date.now();
+    if (!meta.createdAt) meta.createdAt = meta.updatedAt;
+    if (meta.tags !== undefined) {
+      meta.tags = Array.isArray(meta.tags) ? meta.tags.filter((t) => typeof t === 'string' && t.trim()).slice(0, 20) : [];
+    }
+    // Seccions bloquejades al dashboard: el runner no les deixa modificar a la IA
+    if (meta.protectedSelectors !== undefined) {
+      meta.protectedSelectors = Array.isArray(meta.protectedSelectors)
+        ? [...new Set(meta.protectedSelectors.filter((s) => typeof s === 'string' && s.trim()))].slice(0, 50)
+        : [];
+    }
+    if (typeof revision.prompt === 'string' && revision.prompt.trim()) meta.lastPrompt = revision.prompt.slice(0, 300);
     const metaContent = JSON.stringify(meta, null, 2);
     candidates.push(['meta.json', metaContent]);
 
@@ -117,15 +105,34 @@ export async function handler(event) {
       return ok({ ok: true, results: [{ id: project.id, name: project.name, skipped: true, reason: 'empty_files' }] });
     }
 
-    const results = [];
-    for (const [rel, content] of candidates) {
-      const path = `${prefix}/${rel}`;
-      const res = await gitPutFile({ owner, repo, branch, token, path, content });
-      results.push({ path, committed: !!res.ok, error: res.ok ? undefined : res.error });
-    }
+    // Fitxers + meta.json + revisió i índex, tot en un sol commit
+    const rev = Object.keys(textFiles).length ? buildRevision({ ...revision, files: textFiles }) : null;
+    const result = await commit(repo, {
+      message: `save(${slug}): ${rev ? rev.source : 'save'}${rev?.prompt ? ` — ${rev.prompt.slice(0, 60)}` : ''}`,
+      changes: async ({ tree, read, list }) => {
+        if (typeof expectedEtag === 'string' && expectedEtag) {
+          const current = await pathSha(repo, tree, prefix);
+          if (current !== expectedEtag) {
+            throw Object.assign(new Error('Project changed since it was loaded'), { code: 'conflict', etag: current });
+          }
+        }
+        const shas = assets.length ? new Map((await list(prefix)).map((it) => [it.path, it.sha])) : null;
+        writtenAssets = assets.filter(([rel, value]) => shas.get(`${prefix}/${rel}`) !== blobSha(value));
+        return {
+          ...(fullManifest ? await staleFiles(slug, (rel) => rel in files, list) : {}),
+          ...Object.fromEntries(candidates.map(([rel, content]) => [`${prefix}/${rel}`, content])),
+          ...Object.fromEntries(writtenAssets.map(([rel, value]) => [`${prefix}/${rel}`, value])),
+          ...(rev ? await revisionChanges(slug, rev, read) : {})
+        };
+      }
+    });
+    const results = [...candidates, ...writtenAssets].map(([rel]) => ({ path: `${prefix}/${rel}`, committed: true }));
+
+    const etag = await pathSha(repo, result.tree, prefix);
 
-    return ok({ ok: true, results });
+    return ok({ ok: true, commit: result.commit, etag, results, revision: rev && summary(rev) });
   } catch (e) {
+    if (e?.code === 'conflict') return error(409, 'conflict', e.etag !== undefined ? { etag: e.etag } : {});
     return error(500, e?.message || String(e));
   }
 }
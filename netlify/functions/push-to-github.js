@@ -1,41 +1,118 @@
+// netlify/functions/push-to-github.js
+// Publica els fitxers d'un projecte al repo del lloc (ESM).
+// Body: { id, name, files, target?, prompt? }
+//   target: { repo: 'owner/name', branch, dir, mode: 'commit' | 'pr' }
+//     repo/branch buits → GH_OWNER/GH_REPO i GH_BRANCH; dir → subcarpeta dins el repo
+//     mode 'commit' (per defecte): un commit directe a `branch`
+//     mode 'pr': branca nova des de `branch`, commit i pull request amb la llista de canvis
+//   Sense `target` (clients antics) s'escriu a l'arrel del repo per defecte.
+//   GH_ALLOWED_OWNERS (opcional, separat per comes) limita a quins owners es pot publicar.
+//   Els binaris (imatges, fonts…) arriben com a data URL i es publiquen descodificats.
+//   Es publica el mateix que al deploy: brand.json, ux.json i meta.json no (lib/netlify.js isPublished).
+//   Amb `dir`, els fitxers de la carpeta que el projecte ja no té (pàgines esborrades…) s'esborren
+//   en el mateix commit. A l'arrel del repo no s'esborra res: hi pot haver fitxers que no són del projecte.
+// Retorna: { ok, mode, repo, branch, dir, commit, changes: { added, modified, deleted, unchanged }, pullRequest?, noop? }
+
+import { envPick, isConfigured, commit, listFiles, blobSha, createBranch, openPullRequest } from './lib/github.js';
+import { fileValue } from './lib/mime.js';
+import { isPublished } from './lib/netlify.js';
+
+const REPO_RE = /^[\w.-]+\/[\w.-]+$/;
+const BRANCH_RE = /^(?!\/|.*\.\.|.*\/$)[\w./-]+$/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Repo, branca i carpeta on es publica, a partir del target del projecte
+function resolveTarget(target) {
+  const site = envPick('site');
+  const t = target && typeof target === 'object' ? target : {};
+  const repoName = String(t.repo || '').trim();
+  if (repoName && !REPO_RE.test(repoName)) throw badRequest('target.repo debe ser owner/repo');
+  const [OWNER, REPO] = repoName ? repoName.split('/') : [site.OWNER, site.REPO];
+  const BRANCH = String(t.branch || '').trim() || site.BRANCH;
+  if (!BRANCH_RE.test(BRANCH)) throw badRequest('target.branch no es válida');
+  const dir = String(t.dir || '').trim().replace(/^\/+|\/+$/g, '');
+  if (dir.split('/').some((seg) => seg === '..' || seg === '.')) throw badRequest('target.dir no es válida');
+  const allowed = (process.env.GH_ALLOWED_OWNERS || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  if (allowed.length && !allowed.includes(String(OWNER).toLowerCase())) throw badRequest(`No se permite publicar en ${OWNER}`);
+  return { repo: { ...site, OWNER, REPO, BRANCH }, dir, mode: t.mode === 'pr' ? 'pr' : 'commit' };
+}
+
+// Compara amb el que hi ha a la branca (per sha de blob, sense baixar continguts).
+// `prune`: els fitxers de la branca que no són a `files` es marquen per esborrar.
+function diffFiles(files, current, prune) {
+  // files: { path: string | { base64 } }
+  const shas = new Map(current.map((f) => [f.path, f.sha]));
+  const changes = { added: [], modified: [], deleted: [], unchanged: [] };
+  for (const [path, content] of Object.entries(files)) {
+    if (!shas.has(path)) changes.added.push(path);
+    else if (shas.get(path) !== blobSha(content)) changes.modified.push(path);
+    else changes.unchanged.push(path);
+  }
+  if (prune) changes.deleted = current.map((f) => f.path).filter((path) => !(path in files));
+  return changes;
+}
+
+function pullRequestBody({ id, name, prompt, dir, changes }) {
+  const list = (title, paths) => (paths.length ? [`### ${title}`, ...paths.map((p) => `- \`${dir ? `${dir}/` : ''}${p}\``), ''] : []);
+  return [
+    `Cambios del proyecto **${name}** (\`${id}\`) generados desde Project Central.`,
+    '',
+    ...(prompt ? ['> ' + String(prompt).slice(0, 500).replace(/\n/g, '\n> '), ''] : []),
+    ...list('Archivos nuevos', changes.added),
+    ...list('Archivos modificados', changes.modified),
+    ...list('Archivos eliminados', changes.deleted),
+    `${changes.unchanged.length} archivos sin cambios.`
+  ].join('\n');
+}
+
 export const handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
   try {
-    const { id, name, files } = JSON.parse(event.body || '{}');
+    const { id, name, files, target, prompt } = JSON.parse(event.body || '{}');
     if (!files || typeof files !== 'object') return j(400, { error: 'Faltan files' });
+    const values = Object.fromEntries(Object.entries(files).filter(([p, v]) => typeof v === 'string' && isPublished(p)).map(([p, v]) => [p, fileValue(v)]));
+    if (!Object.keys(values).length) return j(400, { error: 'Faltan files' });
+
+    const { repo, dir, mode } = resolveTarget(target);
+    if (!isConfigured(repo)) return j(400, { error: 'Config GitHub incompleta (token/owner/repo)' });
 
-    // Accept both "GITHUB_*" and "GH_*" env variables for flexibility
-    const token  = process.env.GITHUB_TOKEN  || process.env.GH_TOKEN;
-    const owner  = process.env.GH_OWNER      || process.env.GITHUB_OWNER;
-    const repo   = process.env.GH_REPO       || process.env.GITHUB_REPO;
-    const branch = process.env.GH_BRANCH     || process.env.GITHUB_BRANCH || 'main';
-    if (!token || !owner || !repo) return j(400, { error: 'Config GitHub incompleta (token/owner/repo)' });
-
-    const results = [];
-    for (const [path, content] of Object.entries(files)) {
-      const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
-      let sha = undefined;
-      const getRes = await fetch(apiUrl+`?ref=${encodeURIComponent(branch)}`, { headers: ghHeaders(token) });
-      if (getRes.status === 200) { const info = await getRes.json(); sha = info.sha; }
-      const putRes = await fetch(apiUrl, {
-        method: 'PUT',
-        headers: ghHeaders(token),
-        body: JSON.stringify({
-          message: `chore(${id}): update ${path} for ${name}`,
-          content: Buffer.from(content, 'utf-8').toString('base64'),
-          branch,
-          sha
-        })
-      });
-      const out = await putRes.json();
-      if (putRes.status >= 400) return j(502, { error: 'GitHub PUT falló', details: out });
-      results.push({ path, sha: out.content && out.content.sha });
+    const base = await listFiles(repo, dir);
+    const changes = diffFiles(values, base.files, !!dir);
+    const out = { ok: true, mode, repo: `${repo.OWNER}/${repo.REPO}`, branch: repo.BRANCH, dir, changes };
+    if (!changes.added.length && !changes.modified.length && !changes.deleted.length) return j(200, { ...out, noop: true, commit: base.commit });
+
+    // Només els fitxers nous o modificats (cada binari és un blob que cal pujar); null esborra
+    const paths = Object.fromEntries([
+      ...[...changes.added, ...changes.modified].map((p) => [dir ? `${dir}/${p}` : p, values[p]]),
+      ...changes.deleted.map((p) => [`${dir}/${p}`, null])
+    ]);
+    const message = `deploy(${id}): update ${name}`;
+    if (mode === 'commit') {
+      // Un sol commit amb tots els fitxers: o es publica tot o res
+      const result = await commit(repo, { message, changes: paths });
+      return j(200, { ...out, commit: result.commit });
     }
-    return j(200, { ok: true, committed: results });
+
+    // Mode PR: la branca surt del mateix commit amb què s'ha calculat la llista de canvis
+    const branch = `pcentral/${String(id || 'site').replace(/[^\w-]+/g, '-')}-${Date.now().toString(36)}`;
+    const feature = await createBranch(repo, branch, base.commit);
+    const result = await commit(feature, { message, changes: paths, expectedParent: base.commit });
+    const pullRequest = await openPullRequest(repo, {
+      title: `${name}: actualización desde Project Central`,
+      head: branch,
+      base: repo.BRANCH,
+      body: pullRequestBody({ id, name, prompt, dir, changes })
+    });
+    return j(200, { ...out, branch, commit: result.commit, pullRequest });
   } catch (err) {
+    if (err.status === 400) return j(400, { error: err.message });
+    if (err.code === 'conflict') return j(409, { error: 'conflict', details: err.message });
+    if (err.status) return j(502, { error: 'GitHub falló', details: err.data || err.message });
     return j(500, { error: 'Fallo push', details: err.message || String(err) });
   }
 };
-function ghHeaders(token){ return { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'Accept': 'application/vnd.github+json', 'User-Agent': 'project-central' }; }
 function cors(){ return { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'POST,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type' }; }
 function j(code,obj){ return { statusCode: code, headers: { ...cors(), 'Content-Type': 'application/json' }, body: JSON.stringify(obj) }; }
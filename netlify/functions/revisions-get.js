@@ -0,0 +1,35 @@
+// netlify/functions/revisions-get.js
+// GET /.netlify/functions/revisions-get?slug=…&rev=…
+// Retorna: { ok, revision: { id, createdAt, source, prompt, preset, model, files } }
+
+import { envPick } from './lib/github.js';
+import { getRevision } from './lib/revisions.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'GET') return json(405, { ok: false, error: 'Use GET' });
+
+  const qp = event.queryStringParameters || {};
+  const slug = (qp.slug || qp.id || '').trim();
+  const rev = (qp.rev || '').trim();
+  if (!slug || !rev) return json(400, { ok: false, error: 'Missing slug or rev' });
+
+  const { OWNER, REPO, TOKEN } = envPick();
+  if (!OWNER || !REPO || !TOKEN) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    const revision = await getRevision(slug, rev);
+    if (!revision) return json(404, { ok: false, error: 'not_found' });
+    return json(200, { ok: true, revision });
+  } catch (e) {
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
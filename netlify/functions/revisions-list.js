@@ -0,0 +1,32 @@
+// netlify/functions/revisions-list.js
+// GET /.netlify/functions/revisions-list?slug=…
+// Retorna: { ok, revisions: [{ id, createdAt, source, prompt, preset, model, jobId, restoredFrom }] } (més nova primer)
+
+import { envPick } from './lib/github.js';
+import { listRevisions } from './lib/revisions.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'GET') return json(405, { ok: false, error: 'Use GET' });
+
+  const slug = (event.queryStringParameters?.slug || event.queryStringParameters?.id || '').trim();
+  if (!slug) return json(400, { ok: false, error: 'Missing slug' });
+
+  const { OWNER, REPO, TOKEN } = envPick();
+  if (!OWNER || !REPO || !TOKEN) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    const revisions = await listRevisions(slug);
+    return json(200, { ok: true, revisions });
+  } catch (e) {
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,63 @@
+// netlify/functions/revisions-restore.js
+// POST /.netlify/functions/revisions-restore  Body: { slug, rev }
+// Torna a escriure els fitxers d'una revisió com a versió actual del projecte i
+// registra una revisió nova (source 'restore', restoredFrom = rev), de manera
+// que restaurar també es pot desfer. Fitxers i revisió van en un sol commit.
+// Els fitxers de text que no formen part de la revisió (pàgines afegides després…)
+// s'esborren; els binaris no entren a les revisions i es conserven.
+// Retorna: { ok, revision: {…resum de la nova revisió}, files, etag }
+
+import { envPick, isConfigured, commit, pathSha } from './lib/github.js';
+import { getRevision, buildRevision, revisionChanges, summary, pickProjectFiles, staleFiles } from './lib/revisions.js';
+import { isTextPath } from './lib/mime.js';
+
+const cors = () => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Content-Type': 'application/json'
+});
+const json = (statusCode, body) => ({ statusCode, headers: cors(), body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
+  if (event.httpMethod !== 'POST') return json(405, { ok: false, error: 'Use POST' });
+
+  let body;
+  try { body = JSON.parse(event.body || '{}'); } catch { return json(400, { ok: false, error: 'Invalid JSON body' }); }
+  const slug = String(body.slug || body.id || '').trim();
+  const rev = String(body.rev || '').trim();
+  if (!slug || !rev) return json(400, { ok: false, error: 'Missing slug or rev' });
+
+  const repo = envPick('data');
+  if (!isConfigured(repo)) return json(400, { ok: false, error: 'Missing GitHub credentials (owner/repo/token)' });
+
+  try {
+    const source = await getRevision(slug, rev);
+    if (!source) return json(404, { ok: false, error: 'not_found' });
+    const files = pickProjectFiles(source.files);
+    if (!Object.keys(files).length) return json(422, { ok: false, error: 'revision_has_no_files' });
+
+    const revision = buildRevision({
+      files,
+      source: 'restore',
+      restoredFrom: rev,
+      prompt: source.prompt,
+      preset: source.preset,
+      model: source.model
+    });
+    const result = await commit(repo, {
+      message: `restore(${slug}): revision ${rev}`,
+      changes: async ({ read, list }) => ({
+        ...(await staleFiles(slug, (rel) => rel in files || !isTextPath(rel), list)),
+        ...Object.fromEntries(Object.entries(files).map(([rel, content]) => [`projects/${slug}/${rel}`, content])),
+        ...(await revisionChanges(slug, revision, read))
+      })
+    });
+    const etag = await pathSha(repo, result.tree, `projects/${slug}`);
+    return json(200, { ok: true, revision: summary(revision), files, etag });
+  } catch (e) {
+    if (e?.code === 'conflict') return json(409, { ok: false, error: 'conflict' });
+    return json(500, { ok: false, error: 'github_error', details: e?.message || String(e) });
+  }
+}
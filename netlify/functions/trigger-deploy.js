@@ -1,12 +1,45 @@
-export const handler = async () => {
+// netlify/functions/trigger-deploy.js
+// Llança el deploy d'un projecte a Netlify (ESM).
+// Body: { id, name, files?, deploy? }
+//   deploy: { mode: 'hook' | 'files', siteId, hook }
+//     mode 'hook' (per defecte): crida el build hook del projecte o, si no en té, NETLIFY_BUILD_HOOK.
+//       El hook del projecte el guarda el navegador: no es desa a meta.json (vegeu lib/meta.js).
+//       Amb siteId es pot seguir l'estat a deploy-status (?siteId=&since=triggeredAt).
+//     mode 'files': deploy directe al site `siteId` amb els fitxers del projecte (file digest,
+//       només es pugen els que Netlify no té). Requereix NETLIFY_AUTH_TOKEN.
+//   Sense body (clients antics) es crida NETLIFY_BUILD_HOOK.
+// Retorna: { ok, mode, siteId?, triggeredAt, deploy? }  (deploy: vegeu lib/netlify.js summarize)
+
+import { deployFiles, triggerHook } from './lib/netlify.js';
+
+const SITE_RE = /^[\w.-]+$/;
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 204, headers: cors(), body: '' };
   try {
-    const hook = process.env.NETLIFY_BUILD_HOOK;
+    const { id, name, files, deploy } = JSON.parse(event.body || '{}');
+    const cfg = deploy && typeof deploy === 'object' ? deploy : {};
+    const siteId = String(cfg.siteId || '').trim();
+    if (siteId && !SITE_RE.test(siteId)) return j(400, { error: 'siteId no es válido' });
+    const title = id ? `Project Central: ${name || id}` : undefined;
+    const triggeredAt = Date.now();
+
+    if (cfg.mode === 'files') {
+      if (!siteId) return j(400, { error: 'El deploy por archivos necesita siteId' });
+      if (!files || typeof files !== 'object') return j(400, { error: 'Faltan files' });
+      const result = await deployFiles(siteId, files, { title });
+      return j(200, { ok: true, mode: 'files', siteId, triggeredAt, deploy: result });
+    }
+
+    const hook = String(cfg.hook || '').trim() || process.env.NETLIFY_BUILD_HOOK;
     if (!hook) return j(400, { error: 'Falta NETLIFY_BUILD_HOOK en variables de entorno' });
-    const res = await fetch(hook, { method: 'POST' });
-    if (!res.ok) return j(502, { error: 'Netlify hook respondió error', status: res.status });
-    return j(200, { ok: true });
+    await triggerHook(hook, { title });
+    return j(200, { ok: true, mode: 'hook', ...(siteId ? { siteId } : {}), triggeredAt });
   } catch (err) {
-    return j(500, { error: 'Fallo al llamar build hook', details: err.message || String(err) });
+    if (err.status === 400) return j(400, { error: err.message });
+    if (err.status) return j(502, { error: 'Netlify respondió error', status: err.status, details: err.data || err.message });
+    return j(500, { error: 'Fallo al lanzar el deploy', details: err.message || String(err) });
   }
 };
-function j(code,obj){ return { statusCode: code, headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }, body: JSON.stringify(obj) }; }
+function cors(){ return { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'POST,OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type' }; }
+function j(code,obj){ return { statusCode: code, headers: { ...cors(), 'Content-Type': 'application/json' }, body: JSON.stringify(obj) }; }
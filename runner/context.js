@@ -0,0 +1,245 @@
+// runner/context.js — fit a job's files into the model's context budget
+// - Token counts are estimated at ~4 characters per token; no tokenizer is
+//   bundled, and the estimate only has to be good enough to pick a strategy.
+// - Inputs within the budget are sent whole, in the job's own mode.
+// - Larger inputs are sent as an excerpt and answered in ops mode: the
+//   sections of index.html that best match the prompt (or the job's `root`),
+//   the CSS rules those sections use, and an outline of every section so the
+//   model knows the page structure. Edits are then scoped to the sent
+//   sections through the ops `root`.
+// - When not even one section fits, or the preset needs whole files (code
+//   edits JavaScript files, which ops cannot touch), a context_too_large error
+//   is thrown instead of letting every model time out.
+//
+// API:
+//   buildContext({ prompt, files, preset, mode, root, maxTokens, overheadTokens })
+//     -> { mode, root, files, outline, tokens, trimmed, sections: { sent, total } }
+//   throws Error with code 'context_too_large'
+//   estimateTokens(text)
+
+const { JSDOM } = require('jsdom');
+const { editableFiles, manifestOf } = require('./manifest');
+
+const CHARS_PER_TOKEN = 4;
+// How many levels a section too big for the budget is split into its children
+const MAX_SPLIT_DEPTH = 3;
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'LINK', 'META']);
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function contextTooLarge(message) {
+  const err = new Error(message);
+  err.code = 'context_too_large';
+  return err;
+}
+
+// Size of the editable files and the manifest as they appear in the JSON
+// payload (see manifest.js)
+function filesTokens(files) {
+  return estimateTokens(JSON.stringify({ files: editableFiles(files), manifest: manifestOf(files) }));
+}
+
+// Selector that points at `el` without relying on generated class names
+function selectorFor(el) {
+  const parts = [];
+  let node = el;
+  while (node && node.tagName !== 'BODY' && node.tagName !== 'HTML') {
+    if (node.id) {
+      parts.unshift(`#${node.id.replace(/([^\w-])/g, '\\$1')}`);
+      return parts.join(' > ');
+    }
+    const tag = node.tagName.toLowerCase();
+    const same = Array.from(node.parentElement.children).filter((c) => c.tagName === node.tagName);
+    parts.unshift(same.length > 1 ? `${tag}:nth-of-type(${same.indexOf(node) + 1})` : tag);
+    node = node.parentElement;
+  }
+  return ['body', ...parts].join(' > ');
+}
+
+const elementChildren = (el) => Array.from(el.children).filter((c) => !SKIP_TAGS.has(c.tagName));
+
+// Top-level blocks of the page: children of <body>, looking through <main>
+// and lone wrapper elements.
+function topSections(body) {
+  let children = elementChildren(body);
+  while (children.length === 1 && elementChildren(children[0]).length > 1) {
+    children = elementChildren(children[0]);
+  }
+  return children.flatMap((el) => (el.tagName === 'MAIN' && elementChildren(el).length ? elementChildren(el) : [el]));
+}
+
+function describe(el) {
+  const heading = el.querySelector('h1, h2, h3');
+  return {
+    selector: selectorFor(el),
+    tag: el.tagName.toLowerCase(),
+    ...(el.id ? { id: el.id } : {}),
+    ...(el.className && typeof el.className === 'string' ? { class: el.className } : {}),
+    ...(heading ? { heading: heading.textContent.trim().slice(0, 80) } : {}),
+  };
+}
+
+const normalize = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function promptTerms(prompt) {
+  return Array.from(new Set(normalize(prompt).split(/[^a-z0-9-]+/).filter((w) => w.length >= 4)));
+}
+
+// Prompt words found in the section's id/classes weigh more than in its text
+function score(el, terms) {
+  const names = normalize(`${el.id} ${el.className} ${el.getAttribute('aria-label') || ''}`);
+  const text = normalize(el.textContent.slice(0, 4000));
+  let total = 0;
+  for (const term of terms) {
+    if (names.includes(term)) total += 3;
+    if (text.includes(term)) total += 1;
+  }
+  return total;
+}
+
+// Split CSS into top-level blocks ({ prelude, body, text }), skipping comments
+function splitCss(css) {
+  const src = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const blocks = [];
+  let depth = 0;
+  let start = 0;
+  let open = -1;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '{') {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        blocks.push({
+          prelude: src.slice(start, open).trim(),
+          body: src.slice(open + 1, i),
+          text: src.slice(start, i + 1).trim(),
+        });
+        start = i + 1;
+      }
+      if (depth < 0) depth = 0;
+    } else if (ch === ';' && depth === 0) {
+      // @charset / @import style statements
+      start = i + 1;
+    }
+  }
+  return blocks;
+}
+
+// Keep rules that target elements in the excerpt: selectors whose ids and
+// classes all occur there, plus element/global selectors (e.g. :root vars).
+function relevantCss(css, used) {
+  const keep = (prelude) => {
+    const refs = prelude.match(/[#.][\w-]+/g) || [];
+    return refs.every((ref) => used.has(ref));
+  };
+  const out = [];
+  for (const block of splitCss(css)) {
+    if (block.prelude.startsWith('@media') || block.prelude.startsWith('@supports')) {
+      const inner = splitCss(block.body).filter((b) => keep(b.prelude));
+      if (inner.length) out.push(`${block.prelude} {\n${inner.map((b) => b.text).join('\n')}\n}`);
+    } else if (!block.prelude.startsWith('@') && keep(block.prelude)) {
+      out.push(block.text);
+    }
+  }
+  return out;
+}
+
+function usedNames(sections) {
+  const used = new Set();
+  for (const section of sections) {
+    for (const el of [section, ...section.querySelectorAll('*')]) {
+      if (el.id) used.add(`#${el.id}`);
+      for (const c of el.classList) used.add(`.${c}`);
+    }
+  }
+  return used;
+}
+
+function buildContext({ prompt = '', files = {}, preset = '', mode = 'files', root = null, maxTokens, overheadTokens = 0 }) {
+  const budget = maxTokens - overheadTokens - estimateTokens(prompt);
+  const fullTokens = filesTokens(files);
+  if (fullTokens <= budget) {
+    return { mode, root, files, outline: null, tokens: fullTokens + overheadTokens, trimmed: false, sections: null };
+  }
+  if (preset === 'code') {
+    throw contextTooLarge(
+      `Input is ~${fullTokens} tokens but the budget is ${budget}; the code preset needs whole files, so split the request or reduce the page size`
+    );
+  }
+
+  const doc = new JSDOM(String(files['index.html'] || '')).window.document;
+  const scoped = root ? (() => { try { return Array.from(doc.querySelectorAll(root)); } catch { return []; } })() : [];
+  const all = topSections(doc.body);
+  const outline = all.map(describe);
+  const terms = promptTerms(prompt);
+
+  // Candidate units in preference order: the job's root first, otherwise
+  // the best-matching sections (document order breaks ties).
+  let units = scoped.length
+    ? scoped
+    : all
+      .map((el, i) => ({ el, i, s: score(el, terms) }))
+      .sort((a, b) => b.s - a.s || a.i - b.i)
+      .map((u) => u.el);
+
+  const fixed = estimateTokens(JSON.stringify(outline)) + 200;
+  const sizeOf = (el) => estimateTokens(JSON.stringify(el.outerHTML));
+  // A section too big on its own is replaced by its children
+  for (let depth = 0; depth < MAX_SPLIT_DEPTH && units.length && sizeOf(units[0]) + fixed > budget; depth++) {
+    const children = elementChildren(units[0]);
+    if (!children.length) break;
+    const ranked = children
+      .map((el, i) => ({ el, i, s: score(el, terms) }))
+      .sort((a, b) => b.s - a.s || a.i - b.i)
+      .map((u) => u.el);
+    units = [...ranked, ...units.slice(1)];
+  }
+
+  const selected = [];
+  let used = fixed;
+  for (const el of units) {
+    const size = sizeOf(el);
+    if (used + size > budget) continue;
+    // Skip elements nested in (or containing) one already chosen
+    if (selected.some((s) => s.contains(el) || el.contains(s))) continue;
+    selected.push(el);
+    used += size;
+  }
+  if (!selected.length) {
+    throw contextTooLarge(
+      `Input is ~${fullTokens} tokens and not even its smallest relevant section fits the budget of ${budget}; narrow the request with a root selector`
+    );
+  }
+  // Back in document order
+  selected.sort((a, b) => (a.compareDocumentPosition(b) & 4 ? -1 : 1));
+
+  const rules = [];
+  for (const rule of relevantCss(files['styles/style.css'], usedNames(selected))) {
+    const size = estimateTokens(JSON.stringify(rule));
+    if (used + size > budget) break;
+    rules.push(rule);
+    used += size;
+  }
+
+  const excerpt = {
+    'index.html': selected.map((el) => el.outerHTML).join('\n'),
+    'styles/style.css': rules.join('\n'),
+    'scripts/app.js': '',
+  };
+  return {
+    mode: 'ops',
+    root: selected.map(selectorFor).join(', '),
+    files: excerpt,
+    outline,
+    tokens: filesTokens(excerpt) + fixed + overheadTokens,
+    trimmed: true,
+    sections: { sent: selected.length, total: all.length },
+  };
+}
+
+module.exports = { buildContext, estimateTokens };
@@ -19,7 +19,7 @@
 //     maxOps = 200    // soft budget to avoid runaway edits
 //   }) -> { html, css, changed, applied }
 //
-import { JSDOM } from 'jsdom';
+const { JSDOM } = require('jsdom');
 
 /** ancestor containment check */
 function contains(rootEl, candidate) {
@@ -99,7 +99,7 @@ function upsertCssRule(cssText, selector, styleRules) {
   return (cssText || '').slice(0, m.index) + replacement + (cssText || '').slice(m.index + m[0].length);
 }
 
-export function applyOps({ html, css, ops, root, protectedSelectors = [], maxOps = 200 }) {
+function applyOps({ html, css, ops, root, protectedSelectors = [], maxOps = 200 }) {
   const dom = new JSDOM(String(html || ''));
   const doc = dom.window.document;
 
@@ -128,7 +128,6 @@ export function applyOps({ html, css, ops, root, protectedSelectors = [], maxOps
 
   let changed = 0;
   const applied = [];
-  const seen = new Set(); // dedupe elements across roots/selectors
 
   const budgetLeft = () => (maxOps <= 0 ? Infinity : Math.max(0, maxOps - changed));
 
@@ -138,16 +137,20 @@ export function applyOps({ html, css, ops, root, protectedSelectors = [], maxOps
     const { selector } = op || {};
     if (!selector || !op.op) continue;
 
-    // Resolve elements inside allowed roots only
-    let candidates = [];
+    // Resolve elements inside allowed roots only. Dedupe is per op so that
+    // overlapping roots match an element once, while later ops on the same
+    // selector still apply. It goes by node identity, so identical siblings
+    // are all kept.
+    const candidates = [];
+    const seen = new Set();
     for (const r of safeRoots) {
       try {
-        for (const el of r.querySelectorAll(selector)) {
-          // de-dup via unique path
-          const key = `${selector}@@${el.tagName}#${el.id}.${el.className}`;
-          if (!seen.has(key)) {
-            candidates.append ? candidates.append(el) : candidates.push(el);
-            seen.add(key);
+        // The root itself is in scope too (e.g. the element picked in the dashboard)
+        const matches = r.matches(selector) ? [r, ...r.querySelectorAll(selector)] : r.querySelectorAll(selector);
+        for (const el of matches) {
+          if (!seen.has(el)) {
+            candidates.push(el);
+            seen.add(el);
           }
         }
       } catch { /* bad selector; ignore */ }
@@ -245,3 +248,5 @@ export function applyOps({ html, css, ops, root, protectedSelectors = [], maxOps
 
   return { html: dom.serialize(), css: String(css || ''), changed, applied };
 }
+
+module.exports = { applyOps };
@@ -0,0 +1,126 @@
+// runner/events.js — job lifecycle events (Redis pub/sub + Server-Sent Events)
+// - Every event is appended to a per-job log list so late subscribers (or an
+//   EventSource reconnecting with Last-Event-ID) can replay what they missed.
+// - Each event is also published on the `jobs:events:<jobId>` channel; one
+//   shared subscriber connection fans messages out to the open SSE streams.
+// - Event ids are 1-based sequence numbers within the job's log, which
+//   expires `ttlSeconds` after the last event.
+//
+// API:
+//   const events = createJobEvents(redis, { ttlSeconds });
+//   await events.publish(jobId, type, data)  // -> event { seq, type, at, ...data }
+//   await events.stream(req, res, jobId)     // serve SSE until a terminal event
+//
+// Event types: queued, waiting, started, attempt, model_failed, validation,
+// done, failed, cancelled. The last three are terminal and close the stream
+// ('failed' rather than 'error', which EventSource reserves for connection
+// errors).
+
+const TERMINAL = new Set(['done', 'failed', 'cancelled']);
+const HEARTBEAT_MS = 15000;
+
+const logKey = (jobId) => 'jobs:eventlog:' + jobId;
+const channel = (jobId) => 'jobs:events:' + jobId;
+
+function createJobEvents(redis, { ttlSeconds = 7 * 24 * 3600 } = {}) {
+  let subscriber = null;
+  let ready = null;
+  const listeners = new Map(); // jobId -> Set<fn(event)>
+
+  // Lazily open the subscriber connection; a connection in subscribe mode
+  // cannot issue regular commands, hence the duplicate. Resolves once the
+  // pattern subscription is active.
+  function ensureSubscriber() {
+    if (ready) return ready;
+    subscriber = redis.duplicate();
+    ready = subscriber.psubscribe('jobs:events:*').catch((err) => {
+      console.error('Event subscription failed:', err.message);
+      ready = null;
+      throw err;
+    });
+    subscriber.on('pmessage', (_pattern, chan, message) => {
+      const jobId = chan.slice('jobs:events:'.length);
+      const set = listeners.get(jobId);
+      if (!set) return;
+      let event;
+      try { event = JSON.parse(message); } catch { return; }
+      for (const fn of set) fn(event);
+    });
+    return ready;
+  }
+
+  async function listen(jobId, fn) {
+    await ensureSubscriber();
+    if (!listeners.has(jobId)) listeners.set(jobId, new Set());
+    listeners.get(jobId).add(fn);
+    return () => {
+      const set = listeners.get(jobId);
+      if (!set) return;
+      set.delete(fn);
+      if (!set.size) listeners.delete(jobId);
+    };
+  }
+
+  async function publish(jobId, type, data = {}) {
+    const event = { type, at: Date.now(), ...data };
+    const seq = await redis.rpush(logKey(jobId), JSON.stringify(event));
+    await redis.expire(logKey(jobId), ttlSeconds);
+    event.seq = seq;
+    await redis.publish(channel(jobId), JSON.stringify(event));
+    return event;
+  }
+
+  // Events with seq greater than `after`
+  async function history(jobId, after = 0) {
+    const raw = await redis.lrange(logKey(jobId), after, -1);
+    return raw.map((str, i) => ({ ...JSON.parse(str), seq: after + i + 1 }));
+  }
+
+  async function stream(req, res, jobId) {
+    const lastId = parseInt(req.header('last-event-id') || req.query.lastEventId, 10) || 0;
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let sent = lastId;
+    let closed = false;
+    const buffered = [];
+    let replaying = true;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unlisten();
+      res.end();
+    };
+    const write = (event) => {
+      if (closed || event.seq <= sent) return;
+      sent = event.seq;
+      res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (TERMINAL.has(event.type)) close();
+    };
+
+    // Subscribe before replaying so nothing published in between is lost
+    const unlisten = await listen(jobId, (event) => {
+      if (replaying) buffered.push(event);
+      else write(event);
+    });
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    res.on('close', close);
+
+    for (const event of await history(jobId, lastId)) write(event);
+    replaying = false;
+    for (const event of buffered) write(event);
+  }
+
+  return { publish, history, stream };
+}
+
+module.exports = { createJobEvents };
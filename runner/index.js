@@ -1,16 +1,60 @@
 /*
  * Runner service for asynchronous AI editing jobs.
  *
- * This Express server exposes two HTTP endpoints:
+ * This Express server exposes the following HTTP endpoints, all of which
+ * require the x-runner-secret header:
  *
- *   POST /jobs-create  – create a new job. Requires x-runner-secret header.
- *   GET  /jobs-status  – fetch the status of an existing job. Requires x-runner-secret header.
+ *   POST /jobs-create  – create a new job.
+ *   GET  /jobs-status  – fetch the status of an existing job.
+ *   POST /jobs-cancel  – cancel a queued or running job.
+ *   POST /jobs-retry   – re-enqueue a failed or cancelled job with the same
+ *                        inputs, optionally with another preset or model.
+ *   GET  /jobs-list    – paginated job summaries, filterable by status and project.
+ *   GET  /jobs-events  – Server-Sent Events stream of a job's lifecycle
+ *                        (queued, attempt, model_failed, validation, done…).
+ *   POST /knowledge-reload – re-read the knowledge documents (they are also
+ *                        reloaded when their files change).
+ *   GET  /health       – liveness; with the secret header also worker slots,
+ *                        queue lengths, per-project lock state and knowledge
+ *                        load status.
  *
- * Jobs are stored in Redis. A background worker processes each queued job by
- * invoking OpenAI’s Responses API with a strict JSON response format. The
- * worker chooses between multiple models (primary and fallbacks) and applies
- * project‑specific presets and brand guides to the prompts. All output is
- * validated and sanitised before being marked as complete.
+ * Jobs are stored in Redis. A background worker claims each queued job from a
+ * crash-safe queue (see queue.js: in-flight list, visibility leases, retry
+ * limit and dead-letter list) and processes it by calling the model provider
+ * selected by MODEL_PROVIDER (see providers.js: OpenAI, an OpenAI-compatible
+ * base URL, or a mock that replays recordings) in JSON mode. Which models
+ * a job tries, with what timeout and how many retries per kind of failure,
+ * depends on its preset and input size (see routing.js and routing.json).
+ * The worker applies project‑specific presets and brand guides to the
+ * prompts, with knowledge documents (see knowledge.js) that a project can
+ * override with its own brand.json / ux.json. All output is validated and
+ * sanitised before being marked as complete, and checked against the
+ * preset's file scope (see presetRules.js).
+ *
+ * WORKER_CONCURRENCY workers run side by side, but two jobs of the same
+ * project never run at once: the later one waits for the project lock and
+ * then starts from the earlier job's output instead of its stale snapshot.
+ *
+ * Jobs run in one of two modes:
+ *
+ *   files – the model returns changes (create / update / delete) against the
+ *           project's file manifest: any number of pages, stylesheets,
+ *           scripts, JSON data or SVGs (default; see manifest.js). The
+ *           result carries the full file set plus the `deleted` paths.
+ *           Binary assets (data URLs) are never sent to the model: the job
+ *           keeps only their paths (`assets`), listed in the manifest.
+ *   ops   – the model returns a list of scoped operations which are applied
+ *           with domPatcher.applyOps, honouring the job's `root`,
+ *           `protectedSelectors` and `maxOps`. The result carries the
+ *           patched files plus the `applied` log.
+ *
+ * A job's `root` must match an element of index.html (checked on create and
+ * again when the job runs), and elements matching `protectedSelectors` must
+ * come back unchanged in both modes (see scope.js).
+ *
+ * Inputs larger than CONTEXT_MAX_TOKENS are sent as an excerpt of the
+ * relevant sections and answered in ops mode, or rejected with a
+ * context_too_large error when they cannot fit (see context.js).
  */
 
 const express = require('express');
@@ -20,61 +64,83 @@ const Redis = require('ioredis');
 // errors when required in CommonJS. Node 18 includes a native fetch
 // implementation, so we rely on that instead.
 // NOTE: Do not import or require node-fetch here.
-const fs = require('fs');
 const path = require('path');
+const { applyOps } = require('./domPatcher');
+const { createJobEvents } = require('./events');
+const { createQueue } = require('./queue');
+const { createProvider, providerConfigFromEnv } = require('./providers');
+const { createRouter, loadRouting, ENV_CHAIN_ROUTING } = require('./routing');
+const { enforcePresetRules } = require('./presetRules');
+const { createKnowledge } = require('./knowledge');
+const { buildContext, estimateTokens } = require('./context');
+const { editableFiles, manifestOf, splitAssets, validateChanges, missingRefs } = require('./manifest');
+const { scopeError, protectedChanges } = require('./scope');
+const os = require('os');
 
 const app = express();
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({ limit: process.env.BODY_LIMIT || '5mb' }));
 
-// Configuration from environment
+// Configuration from environment. Model provider settings (MODEL_PROVIDER,
+// MODEL_BASE_URL, MODEL_API_KEY/OPENAI_API_KEY, MOCK_RESPONSES_PATH,
+// MODEL_RECORD_PATH) are read by providers.js.
 const {
   REDIS_URL,
   RUNNER_SHARED_SECRET,
-  OPENAI_API_KEY,
-  OPENAI_MODEL_PRIMARY,
-  OPENAI_MODEL_FALLBACK,
-  OPENAI_MODEL_FALLBACK2,
+  // Model routing per preset and input size; model names in it may refer to
+  // OPENAI_MODEL_PRIMARY, OPENAI_MODEL_FALLBACK, OPENAI_MODEL_FALLBACK2, etc.
+  MODEL_ROUTING_PATH = path.join(__dirname, 'routing.json'),
   // Increase the default model timeout to 60 seconds to handle complex
   // prompts such as inserting images or restructuring multiple sections.
   // You can override this via an environment variable MODEL_TIMEOUT_MS.
+  // Models with their own timeoutMs in the routing file ignore it.
   MODEL_TIMEOUT_MS = '60000',
   WORKER_ENABLED = 'true',
+  // Number of jobs processed in parallel by this runner.
+  WORKER_CONCURRENCY = '2',
+  // A claimed job whose lease is not renewed within this window (runner
+  // crashed or was redeployed) is re-queued by the reaper.
+  VISIBILITY_TIMEOUT_MS = '30000',
+  REAPER_INTERVAL_MS = '15000',
+  // Claims per job before it is moved to the dead-letter list.
+  MAX_JOB_ATTEMPTS = '3',
+  // Job records and event logs expire after this many seconds (default 7 days).
+  JOB_TTL_SECONDS = '604800',
+  // brand/ui/ux/copy guidance; reloaded on change unless KNOWLEDGE_WATCH=false.
+  KNOWLEDGE_DIR = path.join(__dirname, 'knowledge'),
+  KNOWLEDGE_WATCH = 'true',
+  // Estimated prompt size (system prompt + request) above which only the
+  // relevant parts of the site are sent.
+  CONTEXT_MAX_TOKENS = '24000',
 } = process.env;
 
-// Normalise model identifiers. Users might set shorthand names like 'o4' or
-// 'o4-mini'. Map these to valid OpenAI model IDs. Extend this map as new
-// models emerge. If no mapping exists, return the original value.
-function normalizeModel(name) {
-  const map = {
-    'o4': 'gpt-4o',
-    'o4-mini': 'gpt-4o-mini',
-    'o4-mini-2024-07-18': 'gpt-4o-mini',
-    'gpt5': 'gpt-5',
-    'gpt5-mini': 'gpt-5-mini',
-  };
-  return map[name] || name;
+// Load the model routing once at startup. Shorthand model names (e.g. 'o4')
+// are mapped to valid model IDs by the file's `aliases`. If the file is
+// missing or invalid, fall back to the OPENAI_MODEL_* chain for every preset.
+function loadModelRouting() {
+  try {
+    return loadRouting(MODEL_ROUTING_PATH);
+  } catch (err) {
+    console.warn(`Failed to load model routing ${MODEL_ROUTING_PATH}: ${err.message}; using OPENAI_MODEL_* chain`);
+    return ENV_CHAIN_ROUTING;
+  }
 }
 
 // Connect to Redis
 const redis = new Redis(REDIS_URL);
+const events = createJobEvents(redis, { ttlSeconds: Number(JOB_TTL_SECONDS) });
+const queue = createQueue(redis, {
+  visibilityTimeoutMs: Number(VISIBILITY_TIMEOUT_MS),
+  maxAttempts: Number(MAX_JOB_ATTEMPTS),
+});
+const provider = createProvider(providerConfigFromEnv(process.env));
+const router = createRouter(loadModelRouting(), { env: process.env, timeoutMs: Number(MODEL_TIMEOUT_MS) });
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const CONCURRENCY = Math.max(1, parseInt(WORKER_CONCURRENCY, 10) || 1);
 
-// Load knowledge documents into memory once at startup
-function loadKnowledge() {
-  const dir = path.join(__dirname, '..', 'knowledge');
-  const knowledge = {};
-  for (const name of ['brand', 'ui', 'ux', 'copy']) {
-    try {
-      const file = path.join(dir, `${name}.json`);
-      const raw = fs.readFileSync(file, 'utf8');
-      knowledge[name] = JSON.parse(raw);
-    } catch (err) {
-      console.warn(`Failed to load ${name}.json: ${err.message}`);
-      knowledge[name] = {};
-    }
-  }
-  return knowledge;
-}
-const KNOWLEDGE = loadKnowledge();
+// Load knowledge documents into memory at startup and keep them fresh
+const knowledge = createKnowledge({ dir: KNOWLEDGE_DIR });
+knowledge.reload();
+if (KNOWLEDGE_WATCH !== 'false') knowledge.watch();
 
 // Utility to sleep
 function sleep(ms) {
@@ -88,15 +154,58 @@ function generateId() {
   );
 }
 
-// Build a system prompt based on the preset and optional brand metadata.
-function buildSystemPrompt(preset, brand) {
+// Operations the model may return in ops mode, with the string fields each
+// one requires. Mirrors the switch in domPatcher.applyOps; upsert_style also
+// needs a `selector` because applyOps only applies ops to matched elements.
+const OP_FIELDS = {
+  replace_text: ['selector', 'text'],
+  append_html: ['selector', 'html'],
+  replace_html: ['selector', 'html'],
+  set_attr: ['selector', 'attr', 'value'],
+  add_class: ['selector', 'value'],
+  remove_class: ['selector', 'value'],
+  upsert_style: ['selector', 'cssSelector', 'styleRules'],
+};
+
+// Build a system prompt based on the preset, optional brand metadata, the
+// job mode ('files' or 'ops') and the knowledge documents in effect for the
+// job's project.
+function buildSystemPrompt(preset, brand, mode = 'files', KNOWLEDGE = knowledge.get()) {
   // Base instructions common to all jobs
   const base = [];
   base.push(
-    'You are an assistant that edits or generates small static websites consisting of three files: index.html, styles/style.css and scripts/app.js.'
+    'You are an assistant that edits or generates small static websites made of a set of files: index.html plus any other pages, stylesheets, scripts, JSON data or SVG images the site needs.'
   );
+  if (mode === 'ops') {
+    base.push(
+      'You must return a JSON object with a single property "ops". The "ops" property is an array of edit operations that will be applied to index.html and styles/style.css. Do not return whole files.'
+    );
+    base.push(
+      'Each operation is an object with an "op" property and the fields listed here: ' +
+        Object.entries(OP_FIELDS)
+          .map(([op, fields]) => `${op} (${fields.join(', ')})`)
+          .join('; ') +
+        '. "selector" is a CSS selector for the elements to edit; for upsert_style, "cssSelector" is the rule selector and "styleRules" the declarations (e.g. "color: #fff; padding: 8px").'
+    );
+    base.push(
+      'Only elements inside the "root" selector given in the request can be edited, and elements matching "protectedSelectors" are never modified. Use as few operations as possible.'
+    );
+  } else {
+    base.push(
+      'The request contains "files" (the text files you may edit, by path) and "manifest" (every file of the project, including images you do not receive).'
+    );
+    base.push(
+      'You must return a JSON object with a single property "changes": an array of { "path", "action", "content" } where action is "create", "update" or "delete". Return the whole new content of each created or updated file; omit "content" for deletions. Only list files that change.'
+    );
+    base.push(
+      'Paths are relative to the site root (e.g. "privacy.html", "styles/contact.css", "data/plans.json"). index.html cannot be deleted and brand.json / ux.json must not be changed. Pages link to each other with relative URLs and each page links the stylesheets and scripts it uses.'
+    );
+    base.push(
+      'If the request lists "protectedSelectors", the elements of index.html matching them must be returned exactly as they are.'
+    );
+  }
   base.push(
-    'You must return a JSON object with a single property "files". The "files" property is an object with exactly three string properties: "index.html", "styles/style.css" and "scripts/app.js".'
+    'Images, icons and fonts must be the project files listed in "manifest", referenced by their relative path (e.g. "assets/logo.svg"). Never invent image URLs or use placeholder image services; if no suitable asset exists, leave the image out or use CSS.'
   );
   base.push(
     'Do not return any additional properties. Do not wrap the JSON in markdown. Do not include explanations. Always respond with strict JSON.'
@@ -112,22 +221,22 @@ function buildSystemPrompt(preset, brand) {
   switch (preset) {
     case 'code':
       base.push(
-        'You are working in Code mode. Modify only the JavaScript in scripts/app.js or small hooks in index.html if strictly necessary. Do not modify CSS.'
+        'You are working in Code mode. Modify only JavaScript files (.js) or small hooks in the HTML pages if strictly necessary. Do not modify CSS files.'
       );
       break;
     case 'ui':
       base.push(
-        'You are working in UI mode. Modify only the CSS in styles/style.css and adjust class names in index.html as needed. Do not modify JavaScript.'
+        'You are working in UI mode. Modify only the stylesheets (.css) and adjust class names in the HTML pages as needed. Do not modify JavaScript files.'
       );
       break;
     case 'ux':
       base.push(
-        'You are working in UX mode. Rearrange or replace sections in index.html according to the prompt. Keep scripts/app.js and styles/style.css unchanged except for structural class names that need updating.'
+        'You are working in UX mode. Rearrange or replace sections, or add pages, according to the prompt. Do not modify JavaScript files; change stylesheets only for structural class names that need updating.'
       );
       break;
     case 'copy':
       base.push(
-        'You are working in Copy mode. Modify only the textual content within index.html. Keep tag structure intact and do not modify styles or JavaScript.'
+        'You are working in Copy mode. Modify only the textual content of the HTML pages. Keep tag structure intact, do not add or remove pages and do not modify styles or JavaScript.'
       );
       break;
     default:
@@ -175,150 +284,363 @@ function buildSystemPrompt(preset, brand) {
   return base.join('\n');
 }
 
-// Build the user content payload. This contains the prompt and a snapshot of
-// the existing files. We send all three files, ensuring strings, even if
-// empty, because OpenAI needs complete context. Brand information is also
-// included if provided.
-function buildUserContent(prompt, files, brand) {
+// Build the user content payload. This contains the prompt, the text files
+// the model may edit and the manifest of every project file, binary assets
+// included (see manifest.js). Brand information is also included if
+// provided, and in ops mode the edit scope so the model can aim its
+// selectors (in files mode only the protected selectors, which the output
+// must leave alone). `outline` is set when the files are an excerpt of a
+// larger site (see context.js); the excerpt only carries index.html and the
+// CSS it uses.
+function buildUserContent(prompt, files, brand, scope, outline, manifest = manifestOf(files)) {
   const payload = {
     prompt,
-    files: {
-      'index.html': files['index.html'] || '',
-      'styles/style.css': files['styles/style.css'] || '',
-      'scripts/app.js': files['scripts/app.js'] || '',
-    },
+    files: outline ? files : editableFiles(files),
+    manifest,
   };
   if (brand) payload.brand = brand;
+  if (scope && 'root' in scope) {
+    payload.root = scope.root || 'body';
+    payload.protectedSelectors = scope.protectedSelectors || [];
+  } else if (scope && scope.protectedSelectors && scope.protectedSelectors.length) {
+    payload.protectedSelectors = scope.protectedSelectors;
+  }
+  if (outline) {
+    payload.excerpt =
+      'The site is too large to send whole: index.html contains only the sections relevant to the prompt and styles/style.css only the rules they use. "outline" lists every section of the page. Target only elements present in the excerpt.';
+    payload.outline = outline;
+  }
   return JSON.stringify(payload);
 }
 
-// Validate the AI output. Ensures we have the expected structure and that
-// everything is a string. Additional sanitisation removes remote scripts or
-// external stylesheets for security.
-function validateAiOutput(obj) {
-  if (!obj || typeof obj !== 'object' || !obj.files) {
-    throw new Error('No files property returned');
+// Validate the AI output against the job's files: known actions, safe and
+// editable paths, string contents, and index.html still present. Every HTML
+// file is sanitised (remote scripts and stylesheets removed). Returns
+// { files, changes } with the full resulting file set (see manifest.js).
+function validateAiOutput(obj, files) {
+  if (!obj || typeof obj !== 'object') throw new Error('No changes returned');
+  return validateChanges(obj, files);
+}
+
+// Validate an ops-mode response: a non-empty array of known operations, each
+// carrying the string fields domPatcher needs. Returns the cleaned ops.
+function validateOpsOutput(obj) {
+  if (!obj || typeof obj !== 'object' || !Array.isArray(obj.ops)) {
+    throw new Error('No ops array returned');
   }
-  const files = obj.files;
-  const required = ['index.html', 'styles/style.css', 'scripts/app.js'];
-  for (const key of required) {
-    if (typeof files[key] !== 'string') {
-      throw new Error(`File ${key} missing or not a string`);
+  if (obj.ops.length === 0) throw new Error('Empty ops array returned');
+  return obj.ops.map((op, i) => {
+    if (!op || typeof op !== 'object') throw new Error(`Op ${i} is not an object`);
+    const fields = OP_FIELDS[op.op];
+    if (!fields) throw new Error(`Op ${i} has unknown type ${op.op}`);
+    const clean = { op: op.op };
+    for (const field of fields) {
+      if (typeof op[field] !== 'string') {
+        throw new Error(`Op ${i} (${op.op}) missing string field ${field}`);
+      }
+      clean[field] = op[field];
     }
-  }
-  // Sanitise HTML: remove external scripts and stylesheet links
-  files['index.html'] = files['index.html'].replace(/<script[^>]*\s+src=['"][^'"]+['"][^>]*>\s*<\/script>/gi, '');
-  files['index.html'] = files['index.html'].replace(/<link[^>]+rel=['"]stylesheet['"][^>]+href=['"]http[^'"]+['"][^>]*>/gi, '');
-  return files;
+    return clean;
+  });
 }
 
-// Call OpenAI via the Chat Completions API with a given model.
-// Returns { ok, files?, error? }.
-async function callOpenAI(model, systemPrompt, userContent) {
-  // Use chat completions endpoint for stability and JSON mode support.
-  const url = 'https://api.openai.com/v1/chat/completions';
-  const headers = {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${OPENAI_API_KEY}`,
+// Apply validated ops to the job's files. Throws when nothing could be
+// applied (e.g. every selector missed or hit a protected node) so the worker
+// falls through to the next model instead of reporting a no-op as success.
+// `root` overrides the job's root (e.g. the sections sent in an excerpt).
+function applyJobOps(job, ops, root = job.root) {
+  const patched = applyOps({
+    html: job.files['index.html'] || '',
+    css: job.files['styles/style.css'] || '',
+    ops,
+    root: root || undefined,
+    protectedSelectors: job.protectedSelectors,
+    maxOps: job.maxOps,
+  });
+  if (!patched.changed) throw new Error('No operation could be applied');
+  const files = {
+    ...job.files,
+    'index.html': patched.html,
+    'styles/style.css': patched.css,
   };
-  const body = {
+  return { files, applied: patched.applied, ops };
+}
+
+// Call the configured model provider (see providers.js) with a routing
+// candidate ({ model, timeoutMs }). `parse` turns the decoded JSON into the
+// job result and throws on invalid output. An optional `signal` aborts the
+// request early (job cancellation).
+// Returns { ok, result?, error?, errorType? } where errorType is one of
+// 'timeout', 'network', 'http', 'parse', 'validation' or 'cancelled'.
+async function callModel({ model, timeoutMs }, systemPrompt, userContent, parse, signal) {
+  const res = await provider.complete({
     model,
     // Do not specify temperature because some models (e.g. gpt-5, gpt-4o-mini)
     // accept only the default temperature of 1 and reject custom values.
-    response_format: { type: 'json_object' },
+    responseFormat: { type: 'json_object' },
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userContent },
     ],
-  };
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), Number(MODEL_TIMEOUT_MS));
+    timeoutMs,
+    signal,
+  });
+  if (!res.ok) return res;
+  let obj;
   try {
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-      signal: controller.signal,
-    });
-    clearTimeout(timeout);
-    const data = await resp.json().catch(() => ({}));
-    if (!resp.ok) {
-      const message = data?.error?.message || `OpenAI HTTP ${resp.status}`;
-      return { ok: false, error: message };
-    }
-    // Chat completions returns choices array with message content
-    const content = data?.choices?.[0]?.message?.content || '';
-    let obj;
-    try {
-      obj = JSON.parse(content);
-    } catch (err) {
-      return { ok: false, error: 'AI returned invalid JSON' };
-    }
-    try {
-      const files = validateAiOutput(obj);
-      return { ok: true, files };
-    } catch (e) {
-      return { ok: false, error: e.message };
-    }
+    obj = JSON.parse(res.content);
   } catch (err) {
-    const message = err.name === 'AbortError' ? 'timeout' : err.message;
-    return { ok: false, error: message };
+    return { ok: false, error: 'AI returned invalid JSON', errorType: 'parse' };
+  }
+  try {
+    return { ok: true, result: parse(obj) };
+  } catch (e) {
+    return { ok: false, error: e.message, errorType: 'validation' };
   }
 }
 
+// Persist a job record, bumping its updatedAt timestamp. Every write
+// refreshes the record's TTL so Redis does not grow unbounded.
+async function saveJob(job) {
+  job.updatedAt = Date.now();
+  await redis.set('jobs:data:' + job.id, JSON.stringify(job), 'EX', Number(JOB_TTL_SECONDS));
+}
+
+async function loadJob(id) {
+  const jobStr = await redis.get('jobs:data:' + id);
+  return jobStr ? JSON.parse(jobStr) : null;
+}
+
+// Abort controllers for jobs currently being processed by this runner, so a
+// cancellation can interrupt the in-flight model call instead of waiting for
+// it to time out.
+const activeJobs = new Map();
+
+// What each worker slot is doing, for /health
+const workerSlots = Array.from({ length: CONCURRENCY }, () => null);
+
+// Jobs of one project run in order. If an earlier job of this project
+// finished after this job's files were snapshotted, start from its output
+// so this job's result does not silently drop the earlier edit.
+async function useLatestProjectFiles(job) {
+  if (!job.project) return;
+  const lastStr = await redis.get('jobs:project-last:' + job.project);
+  const last = lastStr ? JSON.parse(lastStr) : null;
+  const snapshotAt = job.snapshotAt || job.createdAt;
+  if (!last || last.jobId === job.id || last.finishedAt <= snapshotAt) return;
+  const previous = await loadJob(last.jobId);
+  if (!previous || !previous.result || !previous.result.files) return;
+  job.files = { ...job.files, ...previous.result.files };
+  for (const name of previous.result.deleted || []) delete job.files[name];
+  job.basedOn = previous.id;
+  job.logs.push(`Using output of job ${previous.id} as input`);
+}
+
+// Re-read the stored status: a cancellation may have been written by the
+// /jobs-cancel endpoint while the worker was waiting on a model.
+async function wasCancelled(job) {
+  const stored = await loadJob(job.id);
+  return !stored || stored.status === 'cancelled';
+}
+
 // Process a single job by calling one or more models. Mutates and saves
 // the job record in Redis. If AI fails, records error.
 async function runJob(job) {
   job.status = 'running';
-  job.updatedAt = Date.now();
-  await redis.set('jobs:data:' + job.id, JSON.stringify(job));
-  // Normalise model names to ensure valid OpenAI model IDs. e.g. map 'o4' → 'gpt-4o'
-  const modelCandidates = [OPENAI_MODEL_PRIMARY, OPENAI_MODEL_FALLBACK, OPENAI_MODEL_FALLBACK2]
-    .filter(Boolean)
-    .map((m) => normalizeModel(m));
+  await useLatestProjectFiles(job);
+  // The project's own brand.json / ux.json take precedence over the request
+  // brand and the global knowledge.
+  const pack = knowledge.forProject(job.files);
+  for (const err of pack.errors) job.logs.push(`Ignoring project knowledge ${err}`);
+  if (pack.overrides.length) job.logs.push(`Using project knowledge: ${pack.overrides.join(', ')}`);
+  const brand = pack.brand || job.brand;
+  // The picked element may be gone if an earlier job rewrote the page; an
+  // unmatched root would otherwise widen the edit to the whole <body>.
+  const badScope = scopeError(job.files['index.html'], job);
+  if (badScope) {
+    job.status = 'error';
+    job.error = badScope;
+    job.errorType = 'invalid_scope';
+    job.logs.push(badScope);
+    await saveJob(job);
+    await events.publish(job.id, 'failed', { error: job.error, errorType: job.errorType });
+    return;
+  }
+  // Large sites are reduced to the relevant sections and switched to ops
+  // mode; if even that cannot fit, fail now rather than time out on every model.
+  let ctx;
+  try {
+    ctx = buildContext({
+      prompt: job.prompt,
+      files: job.files,
+      preset: job.preset,
+      mode: job.mode || 'files',
+      root: job.root,
+      maxTokens: Number(CONTEXT_MAX_TOKENS),
+      overheadTokens: estimateTokens(buildSystemPrompt(job.preset, brand, job.mode, pack.knowledge)),
+    });
+  } catch (err) {
+    if (err.code !== 'context_too_large') throw err;
+    job.status = 'error';
+    job.error = err.message;
+    job.errorType = err.code;
+    job.logs.push(err.message);
+    await saveJob(job);
+    await events.publish(job.id, 'failed', { error: job.error, errorType: job.errorType });
+    return;
+  }
+  if (ctx.trimmed) {
+    job.logs.push(
+      `Input exceeds the context budget; sending ${ctx.sections.sent} of ${ctx.sections.total} sections in ops mode (~${ctx.tokens} tokens)`
+    );
+  }
   // Build prompts once
-  const systemPrompt = buildSystemPrompt(job.preset, job.brand);
-  const userContent = buildUserContent(job.prompt, job.files, job.brand);
-  for (const model of modelCandidates) {
-    const res = await callOpenAI(model, systemPrompt, userContent);
-    if (res.ok) {
-      job.status = 'done';
-      job.result = { files: res.files };
-      job.error = null;
-      job.updatedAt = Date.now();
-      await redis.set('jobs:data:' + job.id, JSON.stringify(job));
-      return;
+  const opsMode = ctx.mode === 'ops';
+  const systemPrompt = buildSystemPrompt(job.preset, brand, ctx.mode, pack.knowledge);
+  const userContent = buildUserContent(
+    job.prompt,
+    ctx.files,
+    brand,
+    opsMode ? { root: ctx.root, protectedSelectors: job.protectedSelectors } : { protectedSelectors: job.protectedSelectors },
+    ctx.outline,
+    manifestOf(job.files, job.assets)
+  );
+  // Files the preset may not touch are restored (and logged); output that
+  // breaks the preset's structural rules is rejected like invalid output.
+  // `deleted` lists the input files missing from the result, so clients
+  // that merge the result into their copy also drop them.
+  const withinPreset = (result) => {
+    const locked = protectedChanges(job.files['index.html'], result.files['index.html'], job.protectedSelectors);
+    if (locked.length) throw new Error(`Output modified protected elements (${locked.join(', ')})`);
+    const { files, violations } = enforcePresetRules(job.preset, job.files, result.files);
+    job.logs.push(...violations);
+    // Links to files that do not exist (invented image URLs…) are reported, not rejected
+    const before = new Set(missingRefs(job.files, job.assets));
+    for (const ref of missingRefs(files, job.assets)) {
+      if (!before.has(ref)) job.logs.push(`Output links to a missing file (${ref})`);
+    }
+    return { ...result, files, deleted: Object.keys(job.files).filter((name) => !(name in files)) };
+  };
+  const parse = opsMode
+    ? (obj) => withinPreset(applyJobOps(job, validateOpsOutput(obj), ctx.root))
+    // The result keeps the project's other files (brand.json, ux.json, images…)
+    : (obj) => withinPreset(validateAiOutput(obj, job.files));
+  // Pick models for this preset and input size. A model requested on retry
+  // is tried first.
+  const { route, tier, candidates, skipped } = router.plan({
+    preset: job.preset,
+    inputChars: systemPrompt.length + userContent.length,
+    model: job.model,
+  });
+  for (const { model, reason } of skipped) job.logs.push(`Model ${model} skipped: ${reason}`);
+  await saveJob(job);
+  await events.publish(job.id, 'started', {
+    mode: ctx.mode,
+    preset: job.preset,
+    route,
+    tier,
+    context: { tokens: ctx.tokens, trimmed: ctx.trimmed, ...(ctx.sections ? { sections: ctx.sections } : {}) },
+    ...(job.basedOn ? { basedOn: job.basedOn } : {}),
+  });
+  const controller = new AbortController();
+  activeJobs.set(job.id, controller);
+  try {
+    for (const [index, candidate] of candidates.entries()) {
+      const { model } = candidate;
+      const used = {};
+      for (let tries = 1; ; tries++) {
+        await events.publish(job.id, 'attempt', { model, attempt: index + 1, of: candidates.length, try: tries });
+        const res = await callModel(candidate, systemPrompt, userContent, parse, controller.signal);
+        // Never overwrite a cancellation with a late result or log line
+        if (controller.signal.aborted || (await wasCancelled(job))) return;
+        if (res.ok) {
+          await events.publish(job.id, 'validation', { model, ok: true });
+          job.status = 'done';
+          job.result = { ...res.result, model };
+          job.error = null;
+          await saveJob(job);
+          if (job.project) {
+            await redis.set(
+              'jobs:project-last:' + job.project,
+              JSON.stringify({ jobId: job.id, finishedAt: Date.now() }),
+              'EX',
+              Number(JOB_TTL_SECONDS)
+            );
+          }
+          await events.publish(job.id, 'done', {
+            model,
+            ...(Array.isArray(res.result.applied) ? { applied: res.result.applied.length } : {}),
+          });
+          return;
+        }
+        // Output that came back but failed checks is reported as a validation
+        // event; everything else (timeouts, HTTP errors) as a model failure.
+        if (res.errorType === 'validation' || res.errorType === 'parse') {
+          await events.publish(job.id, 'validation', { model, ok: false, reason: res.error });
+        } else {
+          await events.publish(job.id, 'model_failed', { model, reason: res.error, errorType: res.errorType });
+        }
+        job.logs.push(`Model ${model} failed: ${res.error}`);
+        await saveJob(job);
+        // Retry the same model while its budget for this kind of failure
+        // lasts, then fall through to the next candidate.
+        if (!router.shouldRetry(candidate, res.errorType, used)) break;
+        await sleep(Math.min(1000 * tries, 5000));
+      }
     }
-    // Log the error and continue to the next model
-    job.logs.push(`Model ${model} failed: ${res.error}`);
-    job.updatedAt = Date.now();
-    await redis.set('jobs:data:' + job.id, JSON.stringify(job));
-    // Continue to next model even if this one times out. Another model
-    // might succeed (e.g. gpt‑4o or gpt‑4o‑mini) when gpt‑5 fails. We
-    // intentionally do not break here to allow fallbacks.
+    // If we reach here, all models failed (or none was configured)
+    job.status = 'error';
+    job.error = candidates.length
+      ? job.logs[job.logs.length - 1] || 'AI failed'
+      : `No model available for route "${route}"`;
+    await saveJob(job);
+    await events.publish(job.id, 'failed', { error: job.error });
+  } finally {
+    activeJobs.delete(job.id);
   }
-  // If we reach here, all models failed
-  job.status = 'error';
-  job.error = job.logs[job.logs.length - 1] || 'AI failed';
-  job.updatedAt = Date.now();
-  await redis.set('jobs:data:' + job.id, JSON.stringify(job));
 }
 
-// Background worker loop
-async function workerLoop() {
-  if (WORKER_ENABLED === 'false') return;
+// Background worker loop, one per slot. A job is acked only once runJob has
+// recorded a final state; if the process dies first, the lease lapses and
+// the reaper hands the job to another attempt.
+async function workerLoop(slot) {
+  const workerId = `${WORKER_ID}:${slot}`;
   while (true) {
     try {
-      const jobId = await redis.lpop('jobs:queue');
-      if (!jobId) {
+      const claimed = await queue.claim(workerId);
+      if (!claimed) {
         // Sleep briefly if no job
         await sleep(2000);
         continue;
       }
-      const jobStr = await redis.get('jobs:data:' + jobId);
-      if (!jobStr) continue;
-      const job = JSON.parse(jobStr);
-      await runJob(job);
+      const job = await loadJob(claimed.id);
+      // Expired, cancelled or already finished: nothing left to do. The job
+      // may have been handed its project's lock, so pass that on.
+      if (!job || (job.status !== 'queued' && job.status !== 'running')) {
+        await queue.ack(claimed.id);
+        if (job) await queue.release(job.id, job.project);
+        continue;
+      }
+      // Parked behind another job of the same project until handed the lock
+      if (!(await queue.acquire(job.id, job.project))) {
+        job.logs.push('Waiting for another job of this project to finish');
+        await saveJob(job);
+        await events.publish(job.id, 'waiting', { project: job.project });
+        continue;
+      }
+      job.attempts = claimed.attempts;
+      workerSlots[slot] = { jobId: job.id, project: job.project || '', since: Date.now() };
+      const heartbeat = setInterval(() => {
+        queue.heartbeat(job.id, job.project).catch((err) => console.error('Heartbeat error:', err.message));
+      }, Math.max(1000, Math.floor(Number(VISIBILITY_TIMEOUT_MS) / 3)));
+      try {
+        await runJob(job);
+      } finally {
+        clearInterval(heartbeat);
+        workerSlots[slot] = null;
+      }
+      await queue.ack(job.id);
+      await queue.release(job.id, job.project);
     } catch (err) {
       console.error('Worker error:', err);
       // Sleep a bit before continuing to avoid tight error loop
@@ -327,6 +649,40 @@ async function workerLoop() {
   }
 }
 
+// Re-queue or dead-letter jobs whose worker vanished, and prune index
+// entries older than the record TTL.
+async function reapAbandonedJobs() {
+  const projectOf = async (id) => {
+    const job = await loadJob(id);
+    return (job && job.project) || '';
+  };
+  for (const { id, attempts, action } of await queue.reap(projectOf)) {
+    const job = await loadJob(id);
+    if (!job) continue;
+    if (action === 'dead') {
+      job.status = 'error';
+      job.error = `Job abandoned ${attempts} times; moved to dead-letter list`;
+      job.deadLettered = true;
+      job.logs.push(job.error);
+      await saveJob(job);
+      await events.publish(id, 'failed', { error: job.error });
+    } else {
+      job.status = 'queued';
+      job.logs.push(`Worker lost during attempt ${attempts}; job re-queued`);
+      await saveJob(job);
+      await events.publish(id, 'queued', { project: job.project, preset: job.preset, mode: job.mode, requeued: true });
+    }
+  }
+  await redis.zremrangebyscore('jobs:index', '-inf', Date.now() - Number(JOB_TTL_SECONDS) * 1000);
+}
+
+function startReaper() {
+  if (WORKER_ENABLED === 'false') return;
+  const tick = () => reapAbandonedJobs().catch((err) => console.error('Reaper error:', err));
+  tick();
+  setInterval(tick, Number(REAPER_INTERVAL_MS));
+}
+
 // Middleware: authenticate using shared secret
 function authenticate(req, res, next) {
   const secret = req.header('x-runner-secret');
@@ -336,51 +692,288 @@ function authenticate(req, res, next) {
   next();
 }
 
-// Create job
-app.post('/jobs-create', authenticate, async (req, res) => {
-  const { preset = '', prompt = '', files = {}, brand = null } = req.body || {};
-  if (!files || typeof files !== 'object') {
-    return res.status(400).json({ error: 'files must be provided' });
+// Validate job inputs shared by /jobs-create and /jobs-retry. Returns an
+// error message or null.
+function validateJobInput({ files, assets = [], mode, root, protectedSelectors, maxOps }) {
+  if (!files || typeof files !== 'object') return 'files must be provided';
+  if (!Array.isArray(assets)) return 'assets must be an array';
+  if (mode !== 'files' && mode !== 'ops') return 'mode must be "files" or "ops"';
+  if (root !== null && typeof root !== 'string') return 'root must be a CSS selector string';
+  if (!Array.isArray(protectedSelectors) || protectedSelectors.some((s) => typeof s !== 'string')) {
+    return 'protectedSelectors must be an array of strings';
+  }
+  if (maxOps !== null && maxOps !== undefined && !(Number.isInteger(maxOps) && maxOps > 0)) {
+    return 'maxOps must be a positive integer';
   }
+  return null;
+}
+
+// Reject inputs that cannot fit the model context even as an excerpt, so the
+// caller gets a clear error instead of a job that fails later. Returns an
+// error message or null.
+function contextError({ prompt, files, preset, mode, root, brand }) {
+  try {
+    buildContext({
+      prompt,
+      files,
+      preset,
+      mode,
+      root,
+      maxTokens: Number(CONTEXT_MAX_TOKENS),
+      overheadTokens: estimateTokens(buildSystemPrompt(preset, brand, mode)),
+    });
+    return null;
+  } catch (err) {
+    if (err.code !== 'context_too_large') throw err;
+    return err.message;
+  }
+}
+
+// Store a new job, index it for /jobs-list and push it onto the queue.
+async function enqueueJob(input) {
   const id = generateId();
+  // Binary assets stay out of the job: only their paths and sizes are kept
+  const { files, assets } = splitAssets(input.files, input.assets);
   const job = {
     id,
     status: 'queued',
     createdAt: Date.now(),
     updatedAt: Date.now(),
-    preset,
-    prompt,
+    project: input.project || '',
+    preset: input.preset,
+    prompt: input.prompt,
     files,
-    brand,
+    assets,
+    brand: input.brand,
+    mode: input.mode,
+    root: input.root,
+    protectedSelectors: input.protectedSelectors,
+    maxOps: input.maxOps || undefined,
+    model: input.model || undefined,
+    retryOf: input.retryOf || undefined,
+    // When the input files were captured; a retry keeps the original's
+    snapshotAt: input.snapshotAt || Date.now(),
     logs: [],
     result: null,
     error: null,
   };
-  await redis.set('jobs:data:' + id, JSON.stringify(job));
-  await redis.rpush('jobs:queue', id);
-  return res.status(202).json({ jobId: id });
+  await saveJob(job);
+  await redis.zadd('jobs:index', job.createdAt, id);
+  await queue.push(id);
+  await events.publish(id, 'queued', { project: job.project, preset: job.preset, mode: job.mode });
+  return job;
+}
+
+// Create job
+app.post('/jobs-create', authenticate, async (req, res) => {
+  const {
+    preset = '',
+    prompt = '',
+    name = '',
+    project = '',
+    files = {},
+    assets = [],
+    brand = null,
+    mode = 'files',
+    root = null,
+    protectedSelectors = [],
+    maxOps = null,
+  } = req.body || {};
+  const input = {
+    project: project || name,
+    preset,
+    prompt,
+    files,
+    assets,
+    brand,
+    mode,
+    root,
+    protectedSelectors,
+    maxOps,
+  };
+  const invalid = validateJobInput(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const badScope = scopeError(files['index.html'], input);
+  if (badScope) return res.status(400).json({ error: badScope, errorType: 'invalid_scope' });
+  const tooLarge = contextError(input);
+  if (tooLarge) return res.status(413).json({ error: tooLarge, errorType: 'context_too_large' });
+  const job = await enqueueJob(input);
+  return res.status(202).json({ jobId: job.id });
 });
 
 // Get job status
 app.get('/jobs-status', authenticate, async (req, res) => {
   const id = req.query.id;
   if (!id) return res.status(400).json({ error: 'Missing id' });
-  const jobStr = await redis.get('jobs:data:' + id);
-  if (!jobStr) return res.status(404).json({ error: 'Job not found' });
-  const job = JSON.parse(jobStr);
+  const job = await loadJob(id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
   // Limit logs to last 20 entries to avoid large payloads
   const logs = Array.isArray(job.logs)
     ? job.logs.slice(Math.max(0, job.logs.length - 20))
     : [];
-  return res.json({ status: job.status, result: job.result, error: job.error, logs });
+  return res.json({ status: job.status, result: job.result, error: job.error, errorType: job.errorType || null, logs });
+});
+
+// Stream job lifecycle events as Server-Sent Events. Replays the job's event
+// log (from Last-Event-ID when reconnecting) and then follows live events
+// until the job reaches done, failed or cancelled.
+app.get('/jobs-events', authenticate, async (req, res) => {
+  const id = req.query.id;
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const job = await loadJob(id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  try {
+    await events.stream(req, res, id);
+  } catch (err) {
+    console.error('Event stream error:', err);
+    res.end();
+  }
+});
+
+// Cancel a queued or running job. Queued jobs are removed from the queue,
+// passing on their project's lock if they had already been handed it;
+// running jobs have their in-flight model call aborted.
+app.post('/jobs-cancel', authenticate, async (req, res) => {
+  const id = (req.body && req.body.id) || '';
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const job = await loadJob(id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  }
+  await queue.remove(id, job.project);
+  job.status = 'cancelled';
+  job.error = 'Cancelled by user';
+  job.logs.push('Job cancelled');
+  await saveJob(job);
+  await events.publish(id, 'cancelled', {});
+  const controller = activeJobs.get(id);
+  if (controller) controller.abort();
+  return res.json({ id, status: job.status });
+});
+
+// Re-run a failed or cancelled job with the same inputs. `preset` and
+// `model` may be overridden; the new job records the original in `retryOf`.
+app.post('/jobs-retry', authenticate, async (req, res) => {
+  const { id = '', preset, model } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  const original = await loadJob(id);
+  if (!original) return res.status(404).json({ error: 'Job not found' });
+  if (original.status !== 'error' && original.status !== 'cancelled') {
+    return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${original.status})` });
+  }
+  if (preset !== undefined && typeof preset !== 'string') {
+    return res.status(400).json({ error: 'preset must be a string' });
+  }
+  if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+    return res.status(400).json({ error: 'model must be a non-empty string' });
+  }
+  const job = await enqueueJob({
+    project: original.project,
+    preset: preset !== undefined ? preset : original.preset,
+    prompt: original.prompt,
+    files: original.files,
+    assets: original.assets || [],
+    brand: original.brand,
+    mode: original.mode || 'files',
+    root: original.root || null,
+    protectedSelectors: original.protectedSelectors || [],
+    maxOps: original.maxOps,
+    model: model ? model.trim() : original.model,
+    retryOf: original.id,
+    snapshotAt: original.snapshotAt || original.createdAt,
+  });
+  return res.status(202).json({ jobId: job.id, retryOf: original.id });
 });
 
-// Start server and worker
+// List jobs, newest first. Query: status, project, page (1-based), limit
+// (max 100). Returns summaries without files or results.
+app.get('/jobs-list', authenticate, async (req, res) => {
+  const { status = '', project = '' } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const ids = await redis.zrevrange('jobs:index', 0, -1);
+  const matches = [];
+  const missing = [];
+  // Fetch records in chunks to keep each MGET reasonably small
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100);
+    const records = await redis.mget(chunk.map((id) => 'jobs:data:' + id));
+    records.forEach((str, j) => {
+      if (!str) {
+        missing.push(chunk[j]);
+        return;
+      }
+      const job = JSON.parse(str);
+      if (status && job.status !== status) return;
+      if (project && job.project !== project) return;
+      matches.push(job);
+    });
+  }
+  // Drop index entries whose job record no longer exists
+  if (missing.length) await redis.zrem('jobs:index', ...missing);
+  const jobs = matches.slice((page - 1) * limit, page * limit).map((job) => ({
+    id: job.id,
+    status: job.status,
+    project: job.project || '',
+    preset: job.preset,
+    mode: job.mode || 'files',
+    prompt: job.prompt,
+    model: job.model || null,
+    retryOf: job.retryOf || null,
+    attempts: job.attempts || 0,
+    deadLettered: !!job.deadLettered,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  }));
+  return res.json({ jobs, total: matches.length, page, limit });
+});
+
+// Re-read the knowledge documents now, e.g. after a deploy that does not
+// trigger file change events. Documents that fail validation keep their
+// previous version and are listed in `errors`.
+app.post('/knowledge-reload', authenticate, (req, res) => {
+  const status = knowledge.reload();
+  return res.status(Object.keys(status.errors).length ? 422 : 200).json(status);
+});
+
+// Health check. Public callers get liveness only; with the shared secret the
+// response adds worker slots, queue lengths and per-project lock state.
+app.get('/health', async (req, res) => {
+  const body = {
+    ok: true,
+    worker: {
+      enabled: WORKER_ENABLED !== 'false',
+      concurrency: CONCURRENCY,
+      busy: workerSlots.filter(Boolean).length,
+    },
+  };
+  const secret = req.header('x-runner-secret');
+  if (!secret || secret !== RUNNER_SHARED_SECRET) return res.json(body);
+  body.worker.slots = workerSlots.map((s, slot) => ({ slot, ...(s || { jobId: null }) }));
+  body.knowledge = knowledge.status();
+  try {
+    body.queue = await queue.stats();
+  } catch (err) {
+    body.ok = false;
+    body.error = err.message;
+    return res.status(503).json(body);
+  }
+  return res.json(body);
+});
+
+// Start server and workers
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Runner service listening on port ${port}`);
 });
 
-workerLoop().catch((err) => {
-  console.error('Worker failed to start:', err);
-});
\ No newline at end of file
+if (WORKER_ENABLED !== 'false') {
+  for (let slot = 0; slot < CONCURRENCY; slot++) {
+    workerLoop(slot).catch((err) => {
+      console.error('Worker failed to start:', err);
+    });
+  }
+}
+startReaper();
@@ -0,0 +1,175 @@
+// runner/knowledge.js — brand/ui/ux/copy guidance injected into the prompts
+// - Read from KNOWLEDGE_DIR (default: runner/knowledge) and validated against
+//   a small schema per document. An invalid or unreadable document is logged
+//   and keeps its last good version (empty at boot).
+// - Reloaded when a file in the directory changes, or on demand via reload()
+//   (POST /knowledge-reload), so guidance can change without a restart.
+// - Per-project packs: a project's own brand.json / ux.json, stored next to
+//   its files in the data repo, override the global documents for its jobs.
+//   brand.json is a palette (the shape of brand.default); ux.json has the
+//   global shape and its rules are merged over the global ones.
+//
+// API:
+//   const knowledge = createKnowledge({ dir });
+//   knowledge.get()               // -> { brand, ui, ux, copy }
+//   knowledge.reload()            // -> status()
+//   knowledge.watch()             // start reloading on file changes
+//   knowledge.forProject(files)   // -> { knowledge, brand, overrides, errors }
+//   knowledge.status()            // -> { dir, loadedAt, errors }
+
+const fs = require('fs');
+const path = require('path');
+
+const NAMES = ['brand', 'ui', 'ux', 'copy'];
+const PROJECT_FILES = { brand: 'brand.json', ux: 'ux.json' };
+const COLOR_KEYS = ['primary', 'secondary', 'accent', 'background', 'bg', 'text'];
+const RELOAD_DEBOUNCE_MS = 200;
+
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isStringArray = (v) => Array.isArray(v) && v.every((s) => typeof s === 'string');
+
+// Each validator returns a list of problems (empty when valid)
+function validatePalette(palette, where) {
+  if (!isObject(palette)) return [`${where} must be an object`];
+  const errors = [];
+  for (const [key, value] of Object.entries(palette)) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      errors.push(`${where}.${key} must be a string or number`);
+    } else if (COLOR_KEYS.includes(key) && !/^#[0-9a-f]{3,8}$/i.test(String(value))) {
+      errors.push(`${where}.${key} must be a hex colour`);
+    }
+  }
+  return errors;
+}
+
+function validateUxRules(rules, where) {
+  if (!isObject(rules)) return [`${where} must be an object`];
+  const errors = [];
+  if (rules.order !== undefined && !isStringArray(rules.order)) errors.push(`${where}.order must be an array of section names`);
+  for (const key of ['navigationPosition', 'ctaPlacement', 'sectionSpacing']) {
+    if (rules[key] !== undefined && typeof rules[key] !== 'string') errors.push(`${where}.${key} must be a string`);
+  }
+  if (rules.maxTestimonials !== undefined && !(Number.isInteger(rules.maxTestimonials) && rules.maxTestimonials >= 0)) {
+    errors.push(`${where}.maxTestimonials must be a non-negative integer`);
+  }
+  return errors;
+}
+
+const SCHEMAS = {
+  brand(doc) {
+    if (!isObject(doc)) return ['brand must be an object'];
+    return doc.default === undefined ? [] : validatePalette(doc.default, 'brand.default');
+  },
+  ui(doc) {
+    if (!isObject(doc)) return ['ui must be an object'];
+    return doc.components === undefined || isObject(doc.components) ? [] : ['ui.components must be an object'];
+  },
+  ux(doc) {
+    if (!isObject(doc)) return ['ux must be an object'];
+    return doc.rules === undefined ? [] : validateUxRules(doc.rules, 'ux.rules');
+  },
+  copy(doc) {
+    if (!isObject(doc)) return ['copy must be an object'];
+    const errors = [];
+    if (doc.tone !== undefined && typeof doc.tone !== 'string') errors.push('copy.tone must be a string');
+    if (doc.maxLength !== undefined && !(Number.isInteger(doc.maxLength) && doc.maxLength > 0)) {
+      errors.push('copy.maxLength must be a positive integer');
+    }
+    if (doc.useActiveVoice !== undefined && typeof doc.useActiveVoice !== 'boolean') {
+      errors.push('copy.useActiveVoice must be a boolean');
+    }
+    if (doc.avoid !== undefined && !isStringArray(doc.avoid)) errors.push('copy.avoid must be an array of strings');
+    if (doc.recommendations !== undefined
+      && !(isObject(doc.recommendations) && Object.values(doc.recommendations).every((s) => typeof s === 'string'))) {
+      errors.push('copy.recommendations must map names to strings');
+    }
+    return errors;
+  },
+};
+
+function readDocument(dir, name) {
+  const doc = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+  const errors = SCHEMAS[name](doc);
+  if (errors.length) throw new Error(errors.join('; '));
+  return doc;
+}
+
+// Project files arrive as strings; returns [value, error]
+function parseProjectFile(files, file, validate) {
+  const raw = files && files[file];
+  if (typeof raw !== 'string' || !raw.trim()) return [null, null];
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch (err) {
+    return [null, `${file}: invalid JSON (${err.message})`];
+  }
+  const errors = validate(doc);
+  return errors.length ? [null, `${file}: ${errors.join('; ')}`] : [doc, null];
+}
+
+function createKnowledge({ dir = path.join(__dirname, 'knowledge') } = {}) {
+  let docs = Object.fromEntries(NAMES.map((name) => [name, {}]));
+  let errors = {};
+  let loadedAt = null;
+  let watcher = null;
+
+  function reload() {
+    const next = { ...docs };
+    const nextErrors = {};
+    for (const name of NAMES) {
+      try {
+        next[name] = readDocument(dir, name);
+      } catch (err) {
+        nextErrors[name] = err.message;
+        console.warn(`Failed to load knowledge ${name}.json: ${err.message}`);
+      }
+    }
+    docs = next;
+    errors = nextErrors;
+    loadedAt = Date.now();
+    return status();
+  }
+
+  function status() {
+    return { dir, loadedAt, errors };
+  }
+
+  function watch() {
+    if (watcher) return;
+    let timer = null;
+    try {
+      watcher = fs.watch(dir, (_type, file) => {
+        if (file && !file.endsWith('.json')) return;
+        // Editors emit several events per save
+        clearTimeout(timer);
+        timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+      });
+      watcher.on('error', (err) => console.warn(`Knowledge watcher error: ${err.message}`));
+    } catch (err) {
+      console.warn(`Cannot watch knowledge dir ${dir}: ${err.message}`);
+    }
+  }
+
+  // Knowledge for one job, given the project's files. Invalid project files
+  // are ignored and reported in `errors`.
+  function forProject(files) {
+    const out = { knowledge: docs, brand: null, overrides: [], errors: [] };
+    const [brand, brandError] = parseProjectFile(files, PROJECT_FILES.brand, (doc) => validatePalette(doc, 'brand'));
+    const [ux, uxError] = parseProjectFile(files, PROJECT_FILES.ux, SCHEMAS.ux);
+    for (const err of [brandError, uxError]) if (err) out.errors.push(err);
+    if (brand) {
+      out.brand = brand;
+      out.overrides.push(PROJECT_FILES.brand);
+    }
+    if (ux) {
+      out.knowledge = { ...docs, ux: { ...docs.ux, ...ux, rules: { ...(docs.ux.rules || {}), ...(ux.rules || {}) } } };
+      out.overrides.push(PROJECT_FILES.ux);
+    }
+    return out;
+  }
+
+  return { get: () => docs, reload, watch, forProject, status };
+}
+
+module.exports = { createKnowledge };
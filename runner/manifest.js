@@ -0,0 +1,159 @@
+// runner/manifest.js — a project's files as a manifest the model edits
+// Projects hold any number of files (extra pages, partial stylesheets, JSON
+// data, SVGs…), not a fixed index.html / styles/style.css / scripts/app.js.
+// - The model sees the text files it may edit plus a manifest of every path,
+//   so it can link to images and other assets it does not receive.
+// - It answers with changes against that manifest:
+//     { "changes": [{ "path", "action": "create" | "update" | "delete", "content" }] }
+//   The older { "files": { path: content } } shape (recordings, generate.js
+//   clients) is read as creates/updates.
+// - Paths must be relative, without "..", and of an editable type. index.html
+//   cannot be deleted, and the project's knowledge files (brand.json,
+//   ux.json) are never touched.
+// - Every HTML file is sanitised: external scripts and remote stylesheets are
+//   removed.
+// - Binary assets (images, fonts…) arrive as data URLs. Jobs keep only their
+//   path and size, so the model knows which assets exist without receiving
+//   them, and output that links to project files that do not exist is
+//   reported (see missingRefs).
+//
+// API:
+//   editableFiles(files) -> { path: content } sent to the model
+//   manifestOf(files, assets?) -> [{ path, size, editable }]
+//   splitAssets(files, assets?) -> { files, assets: [{ path, size }] }
+//     files without data URLs; assets merges the given list (paths or
+//     { path, size }) with the data URLs removed from files
+//   validateChanges(obj, files) -> { files, changes: [{ path, action }] }
+//     throws when the output is invalid
+//   missingRefs(files, assets?) -> ['page.html: img/x.png', …]
+//   sanitizeHtml(html)
+
+const EDITABLE_EXT = new Set(['html', 'htm', 'css', 'js', 'mjs', 'json', 'svg', 'txt', 'xml', 'md', 'webmanifest']);
+const KNOWLEDGE_FILES = new Set(['brand.json', 'ux.json']);
+const ACTIONS = new Set(['create', 'update', 'delete']);
+const MAX_CHANGES = 50;
+const PATH_RE = /^(?!\/)(?!.*(?:^|\/)\.{1,2}(?:\/|$))[\w.\-/]+$/;
+
+const extOf = (path) => (path.includes('.') ? path.split('.').pop().toLowerCase() : '');
+const isHtml = (path) => /\.html?$/i.test(path);
+
+function isEditablePath(path) {
+  return typeof path === 'string' && PATH_RE.test(path) && EDITABLE_EXT.has(extOf(path)) && !KNOWLEDGE_FILES.has(path);
+}
+
+// Binary files travel as data URLs; the model never receives them
+const isText = (content) => typeof content === 'string' && !content.startsWith('data:');
+
+function editableFiles(files) {
+  const out = {};
+  for (const [path, content] of Object.entries(files || {})) {
+    if (isEditablePath(path) && isText(content)) out[path] = content;
+  }
+  return out;
+}
+
+function manifestOf(files, assets = []) {
+  const entries = Object.entries(files || {})
+    .map(([path, content]) => ({ path, size: String(content || '').length, editable: isEditablePath(path) && isText(content) }));
+  for (const asset of assets) {
+    if (!(asset.path in (files || {}))) entries.push({ path: asset.path, size: asset.size || 0, editable: false });
+  }
+  return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Decoded size of a base64 data URL
+const dataUrlSize = (content) => {
+  const base64 = content.slice(content.indexOf(',') + 1);
+  return Math.floor((base64.length * 3) / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+};
+
+function splitAssets(files, assets = []) {
+  const out = {};
+  const byPath = new Map();
+  for (const asset of Array.isArray(assets) ? assets : []) {
+    const entry = typeof asset === 'string' ? { path: asset } : asset;
+    if (entry && typeof entry.path === 'string' && PATH_RE.test(entry.path)) {
+      byPath.set(entry.path, { path: entry.path, size: Number(entry.size) || 0 });
+    }
+  }
+  for (const [path, content] of Object.entries(files || {})) {
+    if (typeof content === 'string' && content.startsWith('data:')) byPath.set(path, { path, size: dataUrlSize(content) });
+    else out[path] = content;
+  }
+  return { files: out, assets: [...byPath.values()] };
+}
+
+function sanitizeHtml(html) {
+  return String(html)
+    .replace(/<script[^>]*\s+src=['"][^'"]+['"][^>]*>\s*<\/script>/gi, '')
+    .replace(/<link[^>]+rel=['"]stylesheet['"][^>]+href=['"]http[^'"]+['"][^>]*>/gi, '');
+}
+
+function normalizeChanges(obj) {
+  if (obj && Array.isArray(obj.changes)) return obj.changes;
+  if (obj && obj.files && typeof obj.files === 'object' && !Array.isArray(obj.files)) {
+    return Object.entries(obj.files).map(([path, content]) => ({ path, action: 'update', content }));
+  }
+  throw new Error('No changes array returned');
+}
+
+function validateChanges(obj, files = {}) {
+  const list = normalizeChanges(obj);
+  if (!list.length) throw new Error('Empty changes array returned');
+  if (list.length > MAX_CHANGES) throw new Error(`Too many changes (${list.length}, max ${MAX_CHANGES})`);
+  const out = { ...files };
+  const changes = [];
+  list.forEach((change, i) => {
+    if (!change || typeof change !== 'object') throw new Error(`Change ${i} is not an object`);
+    const { path, action } = change;
+    if (!ACTIONS.has(action)) throw new Error(`Change ${i} has unknown action ${action}`);
+    if (!isEditablePath(path)) throw new Error(`Change ${i} has an invalid or non-editable path ${path}`);
+    if (action === 'delete') {
+      if (path === 'index.html') throw new Error('index.html cannot be deleted');
+      if (path in out) {
+        delete out[path];
+        changes.push({ path, action });
+      }
+      return;
+    }
+    if (typeof change.content !== 'string') throw new Error(`Change ${i} (${path}) missing string content`);
+    const content = isHtml(path) ? sanitizeHtml(change.content) : change.content;
+    changes.push({ path, action: path in out ? 'update' : 'create' });
+    out[path] = content;
+  });
+  if (typeof out['index.html'] !== 'string') throw new Error('File index.html missing or not a string');
+  return { files: out, changes };
+}
+
+// Relative references (src, href, srcset, url()) in HTML and CSS files to
+// project files that are neither in `files` nor in `assets`
+const REF_RE = /\b(?:src|href|poster)\s*=\s*["']([^"']+)["']|url\(\s*["']?([^"')]+)["']?\s*\)/gi;
+const isExternalRef = (ref) => /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(ref);
+
+function resolvePath(from, ref) {
+  const parts = ref.startsWith('/') ? [] : from.split('/').slice(0, -1);
+  for (const seg of ref.split(/[?#]/)[0].split('/')) {
+    if (seg === '..') parts.pop();
+    else if (seg && seg !== '.') {
+      try { parts.push(decodeURIComponent(seg)); } catch { parts.push(seg); }
+    }
+  }
+  return parts.join('/');
+}
+
+function missingRefs(files, assets = []) {
+  const known = new Set([...Object.keys(files || {}), ...assets.map((a) => a.path)]);
+  const missing = new Set();
+  for (const [path, content] of Object.entries(files || {})) {
+    if (!/\.(html?|css)$/i.test(path) || !isText(content)) continue;
+    for (const m of content.matchAll(REF_RE)) {
+      const ref = (m[1] || m[2] || '').trim();
+      if (!ref || isExternalRef(ref) || ref.includes('${')) continue;
+      const target = resolvePath(path, ref);
+      if (target && !target.endsWith('/') && !known.has(target)) missing.add(`${path}: ${target}`);
+    }
+  }
+  return [...missing];
+}
+
+module.exports = { editableFiles, manifestOf, splitAssets, validateChanges, missingRefs, sanitizeHtml, isEditablePath };
@@ -0,0 +1,86 @@
+// runner/presetRules.js — enforce each preset's file scope on model output
+// buildSystemPrompt tells the model what a preset may touch; this checks it
+// after the fact, so a "copy" request can no longer rewrite the CSS.
+// - Files a preset must not modify (by type: stylesheets, scripts) are
+//   restored from the job's input, including ones it created or deleted, and
+//   each restore is reported as a violation.
+// - In copy mode the element skeleton of every HTML page (tag names and
+//   nesting) must match the input, and no page may be added or removed;
+//   otherwise the output is rejected.
+// - Output whose only changes were to forbidden files is rejected too, so the
+//   worker retries or moves to the next model instead of saving a no-op.
+//
+// API:
+//   enforcePresetRules(preset, before, after) -> { files, violations: string[] }
+//   throws when the output has to be rejected
+
+const { JSDOM } = require('jsdom');
+
+// File types each preset must leave untouched. Presets not listed (and the
+// empty preset) may change everything.
+const PRESET_RULES = {
+  code: { readonly: ['css'] },
+  ui: { readonly: ['js', 'mjs'] },
+  ux: { readonly: ['js', 'mjs'] },
+  copy: { readonly: ['css', 'js', 'mjs'], sameSkeleton: true },
+};
+
+const extOf = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+const isHtml = (name) => /\.html?$/i.test(name);
+
+// Depth-annotated tag names of every element, in document order
+function skeleton(html) {
+  const doc = new JSDOM(String(html || '')).window.document;
+  const out = [];
+  const walk = (el, depth) => {
+    out.push({ tag: el.tagName.toLowerCase(), depth });
+    for (const child of el.children) walk(child, depth + 1);
+  };
+  walk(doc.documentElement, 0);
+  return out;
+}
+
+// Describe the first difference between two skeletons, or null if equal
+function skeletonDiff(before, after) {
+  const a = skeleton(before);
+  const b = skeleton(after);
+  const len = Math.max(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    const x = a[i];
+    const y = b[i];
+    if (x && y && x.tag === y.tag && x.depth === y.depth) continue;
+    if (!y) return `element <${x.tag}> at position ${i} was removed`;
+    if (!x) return `element <${y.tag}> at position ${i} was added`;
+    return `expected <${x.tag}> at depth ${x.depth}, got <${y.tag}> at depth ${y.depth} (position ${i})`;
+  }
+  return null;
+}
+
+function enforcePresetRules(preset, before, after) {
+  const rules = PRESET_RULES[preset];
+  if (!rules) return { files: after, violations: [] };
+  const files = { ...after };
+  const violations = [];
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const name of names) {
+    if (!rules.readonly.includes(extOf(name)) || files[name] === before[name]) continue;
+    if (name in before) files[name] = before[name];
+    else delete files[name];
+    violations.push(`Preset "${preset}" may not modify ${name}; change reverted`);
+  }
+  if (rules.sameSkeleton) {
+    for (const name of names.filter(isHtml)) {
+      if (!(name in before) || !(name in files)) {
+        throw new Error(`Preset "${preset}" may not ${name in before ? 'remove' : 'add'} the page ${name}`);
+      }
+      const diff = skeletonDiff(before[name], files[name]);
+      if (diff) throw new Error(`Preset "${preset}" must keep the tag structure of ${name}: ${diff}`);
+    }
+  }
+  if (violations.length && names.every((name) => files[name] === before[name])) {
+    throw new Error(`Preset "${preset}" output only changed files it may not modify`);
+  }
+  return { files, violations };
+}
+
+module.exports = { enforcePresetRules };
@@ -0,0 +1,160 @@
+// runner/providers.js — model provider layer shared by the runner and
+// netlify/functions/generate.js.
+// - "openai": OpenAI Chat Completions (https://api.openai.com/v1).
+// - "openai-compatible": the same wire format against MODEL_BASE_URL, e.g. a
+//   self-hosted server exposing /v1/chat/completions.
+// - "mock": deterministic replay of recorded responses, for running the edit
+//   pipeline offline in tests.
+// Providers only transport messages; parsing and validating the returned
+// content stays with the caller.
+//
+// Recordings (MOCK_RESPONSES_PATH, written when MODEL_RECORD_PATH is set):
+//   { "responses": { "<requestKey>": "<content>" }, "default": "<content>" }
+// where requestKey is a sha256 of the request messages. Content may also be
+// a JSON object, which is replayed stringified.
+//
+// API:
+//   const provider = createProvider(providerConfigFromEnv(process.env, overrides));
+//   provider.configured  // false when a required API key is missing
+//   await provider.complete({ model, messages, responseFormat, temperature, timeoutMs, signal })
+//     -> { ok: true, content, status? } | { ok: false, error, errorType, status? }
+//   errorType: 'timeout' | 'network' | 'http' | 'cancelled'
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+function providerConfigFromEnv(env = process.env, overrides = {}) {
+  return {
+    type: env.MODEL_PROVIDER || 'openai',
+    baseUrl: env.MODEL_BASE_URL || '',
+    apiKey: env.MODEL_API_KEY || env.OPENAI_API_KEY || '',
+    organization: env.OPENAI_ORG_ID || '',
+    project: env.OPENAI_PROJECT || '',
+    mockPath: env.MOCK_RESPONSES_PATH || '',
+    recordPath: env.MODEL_RECORD_PATH || '',
+    // Drop empty overrides (e.g. a missing request header) so env values apply
+    ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v)),
+  };
+}
+
+function requestKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+function readRecordings(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { responses: data.responses || {}, default: data.default };
+  } catch {
+    return { responses: {} };
+  }
+}
+
+const asContent = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+function createChatCompletionsProvider(config) {
+  const baseUrl = (config.type === 'openai' ? OPENAI_BASE_URL : config.baseUrl).replace(/\/+$/, '');
+  return {
+    type: config.type,
+    configured: config.type === 'openai' ? !!config.apiKey : !!baseUrl,
+    async complete({ model, messages, responseFormat, temperature, timeoutMs = 60000, signal }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+      if (config.organization) headers['OpenAI-Organization'] = config.organization;
+      if (config.project) headers['OpenAI-Project'] = config.project;
+      const body = { model, messages };
+      if (responseFormat) body.response_format = responseFormat;
+      if (temperature !== undefined) body.temperature = temperature;
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+      // The job's signal outlives this call (retries, fallback models), so the
+      // listener is removed once the request settles
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      try {
+        const resp = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+        const text = await resp.text();
+        let data = null;
+        try { data = text ? JSON.parse(text) : null; } catch { /* non-JSON error page */ }
+        if (!resp.ok) {
+          const message = data?.error?.message || `${config.type} HTTP ${resp.status}`;
+          return { ok: false, error: message, errorType: 'http', status: resp.status };
+        }
+        // Chat completions returns choices array with message content
+        const content = data?.choices?.[0]?.message?.content;
+        if (!content) return { ok: false, error: 'ai_no_message', errorType: 'http', status: resp.status };
+        return { ok: true, content, status: resp.status };
+      } catch (err) {
+        if (signal && signal.aborted) return { ok: false, error: 'cancelled', errorType: 'cancelled' };
+        if (err.name === 'AbortError') return { ok: false, error: 'timeout', errorType: 'timeout' };
+        return { ok: false, error: err.message, errorType: 'network' };
+      } finally {
+        clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    },
+  };
+}
+
+function createMockProvider(config) {
+  return {
+    type: 'mock',
+    configured: true,
+    async complete({ messages, signal }) {
+      if (signal && signal.aborted) return { ok: false, error: 'cancelled', errorType: 'cancelled' };
+      // Re-read on every call so tests can swap recordings between requests
+      const recordings = readRecordings(config.mockPath);
+      const hit = recordings.responses[requestKey(messages)];
+      const value = hit !== undefined ? hit : recordings.default;
+      if (value === undefined) {
+        return { ok: false, error: 'mock_no_recording', errorType: 'http', status: 404 };
+      }
+      return { ok: true, content: asContent(value), status: 200 };
+    },
+  };
+}
+
+// Wrap a provider so every successful response is stored under its request
+// key, producing a file the mock provider can replay.
+function withRecording(provider, file) {
+  return {
+    ...provider,
+    async complete(req) {
+      const res = await provider.complete(req);
+      if (res.ok) {
+        const recordings = readRecordings(file);
+        recordings.responses[requestKey(req.messages)] = res.content;
+        fs.writeFileSync(file, JSON.stringify(recordings, null, 2));
+      }
+      return res;
+    },
+  };
+}
+
+function createProvider(config = providerConfigFromEnv()) {
+  let provider;
+  switch (config.type) {
+    case 'openai':
+    case 'openai-compatible':
+      provider = createChatCompletionsProvider(config);
+      break;
+    case 'mock':
+      provider = createMockProvider(config);
+      break;
+    default:
+      throw new Error(`Unknown MODEL_PROVIDER "${config.type}"`);
+  }
+  return config.recordPath && config.type !== 'mock'
+    ? withRecording(provider, config.recordPath)
+    : provider;
+}
+
+module.exports = { createProvider, providerConfigFromEnv, requestKey };
@@ -0,0 +1,250 @@
+// runner/queue.js — crash-safe job queue on Redis lists
+// - A worker claims a job by atomically moving its id from `jobs:queue` to
+//   `jobs:processing` and taking a lease (`jobs:lease:<id>`, PX TTL). The
+//   lease is renewed by heartbeats while the job runs.
+// - If a runner dies mid-job the lease expires; `reap()` then moves the id
+//   back to the queue, or to the `jobs:dead` list once it has been claimed
+//   `maxAttempts` times.
+// - Claim counts live in the `jobs:attempts` hash and are cleared on ack.
+// - Jobs of the same project never run at once: a claimed job must also take
+//   the project lock (`jobs:lock:<project>`). If the lock is held, or other
+//   jobs of the project are already waiting, the job is parked at the back of
+//   `jobs:waiting:<project>`. Releasing the lock hands it straight to the
+//   next waiting job, which is pushed to the front of the queue, so jobs of
+//   one project run strictly in order.
+// - Requires Redis >= 6.2 (LMOVE).
+//
+// API:
+//   const queue = createQueue(redis, { visibilityTimeoutMs, maxAttempts });
+//   await queue.push(id)
+//   await queue.claim(workerId)          // -> { id, attempts } | null
+//   await queue.acquire(id, project)     // -> true, or false if parked
+//   await queue.release(id, project)     // -> id of the job handed the lock | null
+//   await queue.heartbeat(id, project)   // -> false if the lease was already lost
+//   await queue.ack(id)                  // job finished (done, error or cancelled)
+//   await queue.remove(id, project)      // drop from queue/processing/waiting (cancellation)
+//                                        // -> id of the job handed the lock | null
+//   await queue.reap(projectOf)          // -> [{ id, attempts, action: 'requeued'|'dead' }]
+//   await queue.stats()                  // -> { queued, processing, dead, locks: [...] }
+
+const KEYS = {
+  queue: 'jobs:queue',
+  processing: 'jobs:processing',
+  attempts: 'jobs:attempts',
+  dead: 'jobs:dead',
+  waitingProjects: 'jobs:waiting-projects',
+};
+const leaseKey = (id) => 'jobs:lease:' + id;
+const lockKey = (project) => 'jobs:lock:' + project;
+const waitingKey = (project) => 'jobs:waiting:' + project;
+
+// Keep the dead-letter list bounded; job records themselves expire by TTL.
+const DEAD_LETTER_MAX = 1000;
+
+// LMOVE + lease + attempt counter in one step, so the reaper can never see a
+// claimed id without its lease.
+const CLAIM_SCRIPT = `
+local id = redis.call('LMOVE', KEYS[1], KEYS[2], 'LEFT', 'RIGHT')
+if not id then return nil end
+redis.call('SET', 'jobs:lease:' .. id, ARGV[1], 'PX', ARGV[2])
+local attempts = redis.call('HINCRBY', KEYS[3], id, 1)
+return { id, attempts }
+`;
+
+// KEYS: lock, waiting, waiting-projects, processing, attempts
+// ARGV: id, lock ttl, project
+// Take the project lock, or park the job: leave processing, drop its lease
+// and give back the claim so waiting does not count towards maxAttempts.
+const ACQUIRE_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if holder == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+if holder or redis.call('LLEN', KEYS[2]) > 0 then
+  redis.call('RPUSH', KEYS[2], ARGV[1])
+  redis.call('SADD', KEYS[3], ARGV[3])
+  redis.call('LREM', KEYS[4], 1, ARGV[1])
+  redis.call('DEL', 'jobs:lease:' .. ARGV[1])
+  redis.call('HINCRBY', KEYS[5], ARGV[1], -1)
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 1
+`;
+
+// KEYS: lock, waiting, waiting-projects, queue
+// ARGV: id (current holder, or '' to promote only when unlocked), lock ttl, project
+// Hand the lock to the next waiting job and put it at the front of the queue.
+const HANDOVER_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if ARGV[1] == '' then
+  if holder then return false end
+elseif holder and holder ~= ARGV[1] then
+  return false
+end
+local nextId = redis.call('LPOP', KEYS[2])
+if redis.call('LLEN', KEYS[2]) == 0 then redis.call('SREM', KEYS[3], ARGV[3]) end
+if not nextId then
+  redis.call('DEL', KEYS[1])
+  return false
+end
+redis.call('SET', KEYS[1], nextId, 'PX', ARGV[2])
+redis.call('LPUSH', KEYS[4], nextId)
+return nextId
+`;
+
+// KEYS: queue, processing, attempts, lock, waiting, waiting-projects
+// ARGV: id, lock ttl, project ('' when the job has none)
+// Drop a cancelled job everywhere. A queued job may already have been handed
+// its project's lock (or had it re-taken by the reaper); nobody will claim it
+// now, so the lock goes straight to the next waiting job. A running job
+// keeps the lock until its worker releases it.
+const REMOVE_SCRIPT = `
+local queued = redis.call('LREM', KEYS[1], 0, ARGV[1])
+redis.call('LREM', KEYS[2], 0, ARGV[1])
+redis.call('DEL', 'jobs:lease:' .. ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+if ARGV[3] == '' then return false end
+redis.call('LREM', KEYS[5], 0, ARGV[1])
+if queued == 0 or redis.call('GET', KEYS[4]) ~= ARGV[1] then
+  if redis.call('LLEN', KEYS[5]) == 0 then redis.call('SREM', KEYS[6], ARGV[3]) end
+  return false
+end
+local nextId = redis.call('LPOP', KEYS[5])
+if redis.call('LLEN', KEYS[5]) == 0 then redis.call('SREM', KEYS[6], ARGV[3]) end
+if not nextId then
+  redis.call('DEL', KEYS[4])
+  return false
+end
+redis.call('SET', KEYS[4], nextId, 'PX', ARGV[2])
+redis.call('LPUSH', KEYS[1], nextId)
+return nextId
+`;
+
+function createQueue(redis, { visibilityTimeoutMs = 30000, maxAttempts = 3 } = {}) {
+  // The project lock outlives a lost lease long enough for the reaper to
+  // re-queue the job and re-take the lock on its behalf.
+  const lockTtlMs = visibilityTimeoutMs * 2;
+  redis.defineCommand('jobsClaim', { numberOfKeys: 3, lua: CLAIM_SCRIPT });
+  redis.defineCommand('jobsAcquire', { numberOfKeys: 5, lua: ACQUIRE_SCRIPT });
+  redis.defineCommand('jobsHandover', { numberOfKeys: 4, lua: HANDOVER_SCRIPT });
+  redis.defineCommand('jobsRemove', { numberOfKeys: 6, lua: REMOVE_SCRIPT });
+
+  async function push(id) {
+    await redis.rpush(KEYS.queue, id);
+  }
+
+  async function claim(workerId) {
+    const res = await redis.jobsClaim(
+      KEYS.queue, KEYS.processing, KEYS.attempts, workerId, visibilityTimeoutMs
+    );
+    if (!res) return null;
+    return { id: String(res[0]), attempts: Number(res[1]) };
+  }
+
+  // Jobs without a project are not serialised
+  async function acquire(id, project) {
+    if (!project) return true;
+    const res = await redis.jobsAcquire(
+      lockKey(project), waitingKey(project), KEYS.waitingProjects, KEYS.processing, KEYS.attempts,
+      id, lockTtlMs, project
+    );
+    return Number(res) === 1;
+  }
+
+  async function release(id, project) {
+    if (!project) return null;
+    const next = await redis.jobsHandover(
+      lockKey(project), waitingKey(project), KEYS.waitingProjects, KEYS.queue,
+      id, lockTtlMs, project
+    );
+    return next ? String(next) : null;
+  }
+
+  async function heartbeat(id, project) {
+    const res = await redis.pexpire(leaseKey(id), visibilityTimeoutMs);
+    if (project && (await redis.get(lockKey(project))) === id) {
+      await redis.pexpire(lockKey(project), lockTtlMs);
+    }
+    return res === 1;
+  }
+
+  async function ack(id) {
+    await redis.lrem(KEYS.processing, 0, id);
+    await redis.del(leaseKey(id));
+    await redis.hdel(KEYS.attempts, id);
+  }
+
+  async function remove(id, project) {
+    const next = await redis.jobsRemove(
+      KEYS.queue, KEYS.processing, KEYS.attempts, lockKey(project || ''), waitingKey(project || ''), KEYS.waitingProjects,
+      id, lockTtlMs, project || ''
+    );
+    return next ? String(next) : null;
+  }
+
+  // `projectOf(id)` resolves a job's project so a re-queued job keeps its
+  // place at the head of its project's line.
+  async function reap(projectOf = async () => '') {
+    const ids = await redis.lrange(KEYS.processing, 0, -1);
+    const out = [];
+    for (const id of ids) {
+      if (await redis.exists(leaseKey(id))) continue;
+      // Only the instance that actually removes the id acts on it
+      const removed = await redis.lrem(KEYS.processing, 1, id);
+      if (!removed) continue;
+      const attempts = Number(await redis.hget(KEYS.attempts, id)) || 0;
+      const project = await projectOf(id);
+      if (attempts >= maxAttempts) {
+        await redis.hdel(KEYS.attempts, id);
+        await redis.lpush(KEYS.dead, id);
+        await redis.ltrim(KEYS.dead, 0, DEAD_LETTER_MAX - 1);
+        await release(id, project);
+        out.push({ id, attempts, action: 'dead' });
+      } else {
+        if (project) {
+          // Re-take the lock unless another job of the project holds it
+          await redis.set(lockKey(project), id, 'PX', lockTtlMs, 'NX');
+        }
+        // Front of the queue: it was already waiting its turn once
+        await redis.lpush(KEYS.queue, id);
+        out.push({ id, attempts, action: 'requeued' });
+      }
+    }
+    // Waiting jobs whose lock holder vanished without releasing
+    for (const project of await redis.smembers(KEYS.waitingProjects)) {
+      await release('', project);
+    }
+    return out;
+  }
+
+  async function stats() {
+    const [queued, processing, dead] = await Promise.all([
+      redis.llen(KEYS.queue),
+      redis.llen(KEYS.processing),
+      redis.llen(KEYS.dead),
+    ]);
+    const projects = new Set(await redis.smembers(KEYS.waitingProjects));
+    let cursor = '0';
+    do {
+      const [next, keys] = await redis.scan(cursor, 'MATCH', lockKey('*'), 'COUNT', 100);
+      cursor = next;
+      for (const key of keys) projects.add(key.slice(lockKey('').length));
+    } while (cursor !== '0');
+    const locks = [];
+    for (const project of projects) {
+      const [holder, ttlMs, waiting] = await Promise.all([
+        redis.get(lockKey(project)),
+        redis.pttl(lockKey(project)),
+        redis.llen(waitingKey(project)),
+      ]);
+      locks.push({ project, jobId: holder, ttlMs: holder ? ttlMs : null, waiting });
+    }
+    return { queued, processing, dead, locks };
+  }
+
+  return { push, claim, acquire, release, heartbeat, ack, remove, reap, stats };
+}
+
+module.exports = { createQueue };
@@ -0,0 +1,151 @@
+// runner/routing.js — which models a job tries, in what order, and how often
+// - routing.json (or MODEL_ROUTING_PATH) maps each preset (code, ui, ux,
+//   copy, default) to a list of tiers. The first tier whose `maxInputChars`
+//   fits the prompt size is used; a tier without the limit matches anything.
+// - Each tier lists models in fallback order. A model entry may set its own
+//   `timeoutMs`, a `maxInputChars` above which it is skipped, and `retries`:
+//   how many times the same model is retried per kind of failure before
+//   moving on. Budgets are separate, so a schema failure does not use up the
+//   retries meant for network errors. Invalid JSON counts as 'validation'.
+// - Model names may reference env vars: "${OPENAI_MODEL_PRIMARY}" or
+//   "${OPENAI_MODEL_FAST:-gpt-4o-mini}". Entries that resolve to an empty
+//   name are dropped, then `aliases` map shorthands to real model ids.
+//
+// API:
+//   const router = createRouter(loadRouting(file), { env, timeoutMs });
+//   router.plan({ preset, inputChars, model })
+//     -> { route, tier, candidates: [{ model, timeoutMs, maxInputChars, retries }], skipped }
+//   router.shouldRetry(candidate, errorType, used)  // `used` is a per-candidate {} counter
+
+const fs = require('fs');
+
+const BUDGETS = ['timeout', 'network', 'http', 'validation'];
+const NO_RETRIES = { timeout: 0, network: 0, http: 0, validation: 0 };
+
+// Used when the routing file cannot be loaded: the previous fixed chain.
+const ENV_CHAIN_ROUTING = {
+  aliases: {},
+  defaults: {},
+  routes: {
+    default: [
+      {
+        models: [
+          { model: '${OPENAI_MODEL_PRIMARY}' },
+          { model: '${OPENAI_MODEL_FALLBACK}' },
+          { model: '${OPENAI_MODEL_FALLBACK2}' },
+        ],
+      },
+    ],
+  },
+};
+
+const isPositive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+function validateRetries(retries, where) {
+  if (retries === undefined) return;
+  if (!retries || typeof retries !== 'object') throw new Error(`${where}.retries must be an object`);
+  for (const [key, n] of Object.entries(retries)) {
+    if (!BUDGETS.includes(key)) throw new Error(`${where}.retries has unknown key "${key}"`);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${where}.retries.${key} must be a non-negative integer`);
+  }
+}
+
+// Throws with the path of the first invalid entry.
+function validateRouting(config) {
+  if (!config || typeof config !== 'object') throw new Error('routing must be an object');
+  if (config.aliases !== undefined) {
+    if (!config.aliases || typeof config.aliases !== 'object') throw new Error('aliases must be an object');
+    for (const [k, v] of Object.entries(config.aliases)) {
+      if (typeof v !== 'string') throw new Error(`aliases.${k} must be a string`);
+    }
+  }
+  const defaults = config.defaults || {};
+  if (defaults.timeoutMs !== undefined && !isPositive(defaults.timeoutMs)) {
+    throw new Error('defaults.timeoutMs must be a positive number');
+  }
+  validateRetries(defaults.retries, 'defaults');
+  if (!config.routes || typeof config.routes !== 'object') throw new Error('routes must be an object');
+  if (!Array.isArray(config.routes.default)) throw new Error('routes.default is required');
+  for (const [name, tiers] of Object.entries(config.routes)) {
+    if (!Array.isArray(tiers) || !tiers.length) throw new Error(`routes.${name} must be a non-empty array`);
+    tiers.forEach((tier, i) => {
+      const where = `routes.${name}[${i}]`;
+      if (tier.maxInputChars !== undefined && !isPositive(tier.maxInputChars)) {
+        throw new Error(`${where}.maxInputChars must be a positive number`);
+      }
+      if (!Array.isArray(tier.models) || !tier.models.length) throw new Error(`${where}.models must be a non-empty array`);
+      tier.models.forEach((entry, j) => {
+        const at = `${where}.models[${j}]`;
+        if (!entry || typeof entry.model !== 'string') throw new Error(`${at}.model must be a string`);
+        if (entry.timeoutMs !== undefined && !isPositive(entry.timeoutMs)) {
+          throw new Error(`${at}.timeoutMs must be a positive number`);
+        }
+        if (entry.maxInputChars !== undefined && !isPositive(entry.maxInputChars)) {
+          throw new Error(`${at}.maxInputChars must be a positive number`);
+        }
+        validateRetries(entry.retries, at);
+      });
+    });
+  }
+  return config;
+}
+
+function loadRouting(file) {
+  return validateRouting(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function expandEnv(value, env) {
+  return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback = '') => env[name] || fallback).trim();
+}
+
+// Invalid JSON is a malformed response just like a schema mismatch
+const budgetFor = (errorType) => (errorType === 'parse' ? 'validation' : errorType);
+
+function createRouter(config, { env = process.env, timeoutMs = 60000 } = {}) {
+  const aliases = config.aliases || {};
+  const defaults = config.defaults || {};
+
+  const normalizeModel = (name) => aliases[name] || name;
+
+  // `model` (e.g. requested on retry) is tried first with the default settings.
+  function plan({ preset, inputChars = 0, model } = {}) {
+    const route = config.routes[preset] ? preset : 'default';
+    const tiers = config.routes[route];
+    let tier = tiers.findIndex((t) => !t.maxInputChars || inputChars <= t.maxInputChars);
+    if (tier === -1) tier = tiers.length - 1;
+    const entries = [...(model ? [{ model }] : []), ...tiers[tier].models];
+    const candidates = [];
+    const skipped = [];
+    const seen = new Set();
+    for (const entry of entries) {
+      const name = normalizeModel(expandEnv(entry.model, env));
+      if (!name || seen.has(name)) continue;
+      seen.add(name);
+      const candidate = {
+        model: name,
+        timeoutMs: entry.timeoutMs || defaults.timeoutMs || timeoutMs,
+        maxInputChars: entry.maxInputChars || null,
+        retries: { ...NO_RETRIES, ...defaults.retries, ...entry.retries },
+      };
+      if (candidate.maxInputChars && inputChars > candidate.maxInputChars) {
+        skipped.push({ model: name, reason: `input of ${inputChars} chars exceeds its limit of ${candidate.maxInputChars}` });
+        continue;
+      }
+      candidates.push(candidate);
+    }
+    return { route, tier, candidates, skipped };
+  }
+
+  // Spend one retry of the failure's budget, if any is left.
+  function shouldRetry(candidate, errorType, used) {
+    const key = budgetFor(errorType);
+    const budget = candidate.retries[key] || 0;
+    if ((used[key] || 0) >= budget) return false;
+    used[key] = (used[key] || 0) + 1;
+    return true;
+  }
+
+  return { plan, shouldRetry, normalizeModel };
+}
+
+module.exports = { createRouter, loadRouting, validateRouting, ENV_CHAIN_ROUTING };
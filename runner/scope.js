@@ -0,0 +1,51 @@
+// runner/scope.js — check a job's edit scope against its index.html
+// The dashboard's element picker sends the chosen element as the ops `root`
+// and the sections the user locked as `protectedSelectors`.
+// - domPatcher silently widens a root that matches nothing to <body>, so the
+//   root is checked when the job is created and again when it runs (an
+//   earlier job of the project may have removed the element).
+// - Protected elements must come back unchanged in every mode: in files mode
+//   the model rewrites whole files, so domPatcher cannot guard them and the
+//   output is compared instead. Whitespace differences are ignored.
+//
+// API:
+//   scopeError(html, { root, protectedSelectors }) -> error message or null
+//   protectedChanges(before, after, selectors) -> selectors whose elements changed
+
+const { JSDOM } = require('jsdom');
+
+const parse = (html) => new JSDOM(String(html || '')).window.document;
+
+// Matched elements, or null when the selector is not valid CSS
+function select(doc, selector) {
+  try {
+    return Array.from(doc.querySelectorAll(selector));
+  } catch {
+    return null;
+  }
+}
+
+function scopeError(html, { root = null, protectedSelectors = [] } = {}) {
+  const doc = parse(html);
+  for (const selector of protectedSelectors) {
+    if (!select(doc, selector)) return `protectedSelectors contains an invalid selector: ${selector}`;
+  }
+  if (!root) return null;
+  const matched = select(doc, root);
+  if (!matched) return `root is not a valid CSS selector: ${root}`;
+  if (!matched.length) return `root ${root} matches no element of index.html`;
+  return null;
+}
+
+function protectedChanges(before, after, selectors = []) {
+  if (!selectors.length || before === after) return [];
+  const a = parse(before);
+  const b = parse(after);
+  const snapshot = (nodes) => (nodes || []).map((el) => el.outerHTML.replace(/>\s+</g, '><').replace(/\s+/g, ' ')).join('\n');
+  return selectors.filter((selector) => {
+    const was = select(a, selector);
+    return was && was.length > 0 && snapshot(was) !== snapshot(select(b, selector));
+  });
+}
+
+module.exports = { scopeError, protectedChanges };